@@ -1,72 +1,542 @@
-import { file } from 'bun';
-import { readdir, readFile, stat } from 'node:fs/promises';
-import { join, resolve, basename, relative, dirname } from 'node:path';
-import { timeStampLog } from './utils/timeStampLog.js';
+// Loads .env under Node; Bun loads it by itself and dotenv keeps the values Bun set
+import 'dotenv/config';
+import { writeFile } from 'node:fs/promises';
+import { join, resolve, basename, relative, dirname, normalize, sep } from 'node:path';
+import { timeStampLog, configureLog } from './utils/timeStampLog.js';
+import { loadManifest, saveManifest, flushManifest, getPendingLinkUpdates } from './utils/manifest.js';
+import { formatPlan, formatSize, describeUnresolvedLink } from './utils/plan.js';
+import { getWorkspaceAbilities, formatPreflightReport } from './utils/preflight.js';
+import { compareMarkdown, findLocalLinks, formatVerifyReport } from './utils/verify.js';
+import { parseMetadataHeader, formatMetadata } from './utils/metadata.js';
+import { readSliteUsers, loadUserMapping, saveUserMapping, buildUserMapping, findMappedUser, isConfirmedMatch } from './utils/users.js';
+import { loadCollectionConfig, readPrivateChannels, resolveChannelConfig } from './utils/collectionConfig.js';
+import { createScheduler, mapConcurrent, throwForStatus } from './utils/scheduler.js';
+import { extractLinks, rewriteLinks, splitAnchor, isExternalUrl } from './utils/markdownLinks.js';
+import { parseSliteDocId, getSliteDocId } from './utils/sliteUrls.js';
+import { convertSliteMarkdown } from './utils/sliteMarkdown.js';
+import { loadPlugins, runHook } from './utils/plugins.js';
+import { loadPageOrder, getMetadataOrder, sortPages, createSiblingOrder } from './utils/pageOrder.js';
+import { resolvePageKindSettings, classifyPage, createPageKindStats, formatPageKindStats } from './utils/pageKinds.js';
+import { inspectFile, isAttachmentFileName } from './utils/attachments.js';
+import { openBackupSource } from './utils/backupSource.js';
+import { createProgress } from './utils/progress.js';
+import { createRunReport, countFailures, formatRunReport } from './utils/runReport.js';
+import { createHash } from 'node:crypto';
+import { createInterface } from 'node:readline/promises';
+import { createZipWriter } from './utils/zip.js';
+import { toArchiveName, createArchivePathAllocator, relativeArchiveLink } from './utils/exportArchive.js';
+import { parseCli, isChannelSelected, parseDocumentReference, USAGE } from './utils/cli.js';
+
+let cli;
+try {
+  cli = parseCli(process.argv.slice(2));
+  configureLog({
+    level: cli.options['log-level'] || process.env.LOG_LEVEL || 'info',
+    filePath: cli.options['log-file'] || process.env.MIGRATION_LOG || null
+  });
+} catch (error) {
+  console.error(`${error.message}\n\n${USAGE}`);
+  process.exit(1);
+}
+
+if (cli.options.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
+
+// The backup is read through this source, from a folder or straight from the ZIP
+let backupSource;
+try {
+  backupSource = await openBackupSource(cli.options.source || './slite-backup/channels');
+} catch (error) {
+  timeStampLog(`Failed to open the Slite backup: ${error.message}`, 'error');
+  process.exit(1);
+}
 
-// Load environment variables (Bun automatically loads .env)
-const SLITE_BACKUP_PATH = './slite-backup/channels';
-const API_BASE = process.env.OUTLINE_DOMAIN + '/api';
-const API_KEY = process.env.OUTLINE_API_KEY;
+// Command line options take precedence over environment variables (loaded from .env)
+const SLITE_BACKUP_PATH = backupSource.channelsPath;
+const SLITE_USERS_PATH = join(dirname(SLITE_BACKUP_PATH), 'users');
+const SLITE_ORGANIZATION_PATH = join(dirname(SLITE_BACKUP_PATH), 'organization.json');
+const OUTLINE_DOMAIN = cli.options.domain || process.env.OUTLINE_DOMAIN;
+const API_BASE = OUTLINE_DOMAIN + '/api';
+const API_KEY = cli.options['api-key'] || process.env.OUTLINE_API_KEY;
+const MANIFEST_PATH = cli.options.manifest || process.env.MIGRATION_MANIFEST || './migration-manifest.json';
+// Outline document to nest the channels under, instead of creating collections
+const PARENT_DOCUMENT = cli.options.parent || null;
+const PLAN_PATH = process.env.MIGRATION_PLAN || './migration-plan.json';
+const VERIFY_REPORT_PATH = process.env.VERIFY_REPORT || './migration-verify.json';
+// Report of a migration run, written as HTML for a .html path and as Markdown otherwise
+const RUN_REPORT_PATH = cli.options.report || process.env.MIGRATION_REPORT || './migration-report.md';
+// Archive written by the export command, with an index of its contents next to it
+const EXPORT_PATH = cli.options.out || './outline-export.zip';
+const EXPORT_INDEX_PATH = EXPORT_PATH.replace(/\.zip$/i, '') + '.json';
+// How Slite metadata is shown in migrated documents: 'none', 'footer' or 'table'
+const METADATA_STYLE = process.env.SLITE_METADATA || 'none';
+const USER_MAPPING_PATH = process.env.USER_MAPPING || './user-mapping.json';
+const COLLECTION_CONFIG_PATH = process.env.COLLECTION_CONFIG || './collections.json';
+const CONCURRENCY = Number(process.env.MIGRATION_CONCURRENCY) || 4;
+// Largest attachment Outline accepts, in bytes; match the instance's FILE_STORAGE_UPLOAD_MAX_SIZE
+const ATTACHMENT_MAX_SIZE = Number(process.env.ATTACHMENT_MAX_SIZE) || 25 * 1024 * 1024;
+// Whether folders without a same-named page get an empty placeholder document
+const FOLDER_PLACEHOLDERS = process.env.FOLDER_PLACEHOLDERS !== 'false';
+// Order of the pages in each folder, overriding the order from the backup
+const PAGE_ORDER_PATH = process.env.PAGE_ORDER || './page-order.json';
+// Plugin modules with transform hooks, see utils/plugins.js
+const PLUGIN_PATHS = [...cli.options.plugin, ...(process.env.MIGRATION_PLUGINS || '').split(',')]
+  .map(path => path.trim())
+  .filter(Boolean);
 
-// Validate environment variables exist
-if (!process.env.OUTLINE_DOMAIN || !process.env.OUTLINE_API_KEY) {
-  throw new Error('Missing required environment variables: OUTLINE_DOMAIN and/or OUTLINE_API_KEY');
+/**
+ * Validates that the Outline credentials are configured
+ */
+function assertCredentials() {
+  if (!OUTLINE_DOMAIN || !API_KEY) {
+    throw new Error('Missing Outline credentials: set OUTLINE_DOMAIN and OUTLINE_API_KEY, or pass --domain and --api-key');
+  }
 }
 
 // Store mappings for uploaded files and created documents
-const attachmentUrlMap = new Map(); // original path -> outline url
+const attachmentUrlMap = new Map(); // attachment path -> outline url
+const attachmentHashMap = new Map(); // collection ID and content hash -> outline attachment, to upload each file once per collection
 const documentUrlMap = new Map();   // original path -> outline url
 const documentIdMap = new Map();    // local path -> outline document ID
+const sliteIdMap = new Map();       // slite document ID -> local path
+
+// On-disk record of everything created so far, used to resume a failed run
+let manifest;
+
+// Paths of the documents found in the backup during this run
+const seenDocumentPaths = new Set();
+
+// What changed compared to the previous run
+const syncStats = { created: 0, updated: 0, moved: 0, reordered: 0, archived: 0, restored: 0 };
+
+// What happened to the archived pages, drafts and templates of the backup
+const pageKindStats = createPageKindStats();
+
+// Slite user -> Outline user mapping, see mapUsers
+let userMapping = { users: {} };
+
+// Everything that failed or was left out during a migration, written to RUN_REPORT_PATH
+const runReport = createRunReport({ outline: OUTLINE_DOMAIN, source: SLITE_BACKUP_PATH, manifest: MANIFEST_PATH });
+
+// Shared by every request to Outline, so the concurrency limit and any
+// rate-limit pause apply across API calls and uploads alike
+const scheduler = createScheduler({ concurrency: CONCURRENCY, log: message => timeStampLog(message, 'warn') });
+
+let plugins;
+try {
+  plugins = await loadPlugins(PLUGIN_PATHS);
+} catch (error) {
+  timeStampLog(`Failed to load plugins: ${error.message}`, 'error');
+  process.exit(1);
+}
+
+let pageOrder;
+try {
+  pageOrder = await loadPageOrder(PAGE_ORDER_PATH);
+} catch (error) {
+  timeStampLog(`Failed to load page order: ${error.message}`, 'error');
+  process.exit(1);
+}
+
+// What to do with archived pages, drafts and templates, see resolvePageKindSettings
+let pageKindSettings;
+try {
+  pageKindSettings = resolvePageKindSettings(process.env);
+} catch (error) {
+  timeStampLog(error.message, 'error');
+  process.exit(1);
+}
 
 /**
- * Makes an API request to Outline
- * @param {string} endpoint - API endpoint
- * @param {Object} data - Request payload
- * @returns {Promise<Object>} Response data
+ * Restores the in-memory mappings from a previously saved manifest
+ * @param {Object} data - Manifest data
+ */
+function hydrateFromManifest(data) {
+  for (const [relativePath, doc] of Object.entries(data.documents)) {
+    const sliteId = getSliteDocId(doc.metadata);
+    if (sliteId) sliteIdMap.set(sliteId, relativePath);
+
+    // Documents archived as removed stay in the manifest so they can be
+    // restored; pages archived in Slite can still be linked to
+    if (doc.archived && doc.kind !== 'archived') continue;
+
+    documentIdMap.set(relativePath, doc.id);
+    documentUrlMap.set(relativePath, doc.url);
+  }
+  for (const [attachmentPath, attachment] of Object.entries(data.attachments)) {
+    attachmentUrlMap.set(attachmentPath, attachment.url);
+    // Attachments recorded before uploads were scoped to a collection have no
+    // collection of their own to share with, so they are not reused
+    const collectionId = manifest.documents[attachment.sourcePath]?.collectionId;
+    if (attachment.hash && collectionId) {
+      attachmentHashMap.set(getAttachmentHashKey(collectionId, attachment.hash), Promise.resolve(attachment));
+    }
+  }
+}
+
+/**
+ * Records a created document in the mappings and persists it to the manifest
+ * @param {Object} node - Document tree node
+ * @param {string} id - Outline document ID
+ * @param {string} collectionId - Collection the document was created in
+ * @param {string|null} parentDocumentId - Parent document ID
+ * @param {number|null} index - Position among its siblings, or null if it was added at the end
+ * @returns {Promise<void>}
+ */
+async function recordDocument(node, id, collectionId, parentDocumentId, index) {
+  const url = `/doc/${id}`;
+  documentIdMap.set(node.relativePath, id);
+  documentUrlMap.set(node.relativePath, url);
+  manifest.documents[node.relativePath] = {
+    id,
+    url,
+    linksUpdated: false,
+    metadata: node.metadata,
+    hash: node.hash,
+    collectionId,
+    parentDocumentId,
+    index,
+    kind: node.kind
+  };
+  manifest.skippedDocuments = manifest.skippedDocuments.filter(skippedPath => skippedPath !== node.relativePath);
+
+  const sliteId = getSliteDocId(node.metadata);
+  if (sliteId) sliteIdMap.set(sliteId, node.relativePath);
+  await saveManifest(MANIFEST_PATH, manifest);
+}
+
+/**
+ * Moves a manifest record to a new path after the page moved in the backup
+ * @param {string} oldPath - Previous path relative to the backup root
+ * @param {string} newPath - New path relative to the backup root
+ */
+function renameDocumentRecord(oldPath, newPath) {
+  const record = manifest.documents[oldPath];
+  delete manifest.documents[oldPath];
+  manifest.documents[newPath] = record;
+
+  documentIdMap.delete(oldPath);
+  documentUrlMap.delete(oldPath);
+  documentIdMap.set(newPath, record.id);
+  documentUrlMap.set(newPath, record.url);
+
+  const sliteId = getSliteDocId(record.metadata);
+  if (sliteId) sliteIdMap.set(sliteId, newPath);
+}
+
+/**
+ * Finds the manifest record of a previous run for a tree node. Pages are
+ * matched by Slite document ID first, so pages that moved are found at their
+ * old path, then by path.
+ * @param {Object} node - Document tree node
+ * @returns {string|null} Path of the record, or null if the page is new
+ */
+function findDocumentRecord(node) {
+  const sliteId = getSliteDocId(node.metadata);
+  const pathForId = sliteId && sliteIdMap.get(sliteId);
+  if (pathForId && getSliteDocId(manifest.documents[pathForId]?.metadata) === sliteId) {
+    return pathForId;
+  }
+
+  const existing = manifest.documents[node.relativePath];
+  if (!existing) {
+    return null;
+  }
+
+  // A different page now lives at this path
+  const existingSliteId = getSliteDocId(existing.metadata);
+  return !sliteId || !existingSliteId || existingSliteId === sliteId ? node.relativePath : null;
+}
+
+/**
+ * Lists the documents of previous runs under a parent, in the order they were
+ * left in. Documents without an index predate ordering and come last.
+ * @param {string} collectionId - Collection ID
+ * @param {string|null} parentDocumentId - Parent document ID, or null for the top of the collection
+ * @returns {Array<string>} Outline document IDs
+ */
+function getSiblingIds(collectionId, parentDocumentId) {
+  return Object.values(manifest.documents)
+    .filter(record => record.collectionId === collectionId
+      && (record.parentDocumentId ?? null) === parentDocumentId
+      && !record.archived
+      && record.kind !== 'draft' && record.kind !== 'template')
+    .sort((a, b) => (a.index ?? Infinity) - (b.index ?? Infinity))
+    .map(record => record.id);
+}
+
+/**
+ * Brings the document of a previous run in line with the tree node: follows
+ * a move in the backup, restores it if it was archived, moves it in Outline if
+ * its place or its order among its siblings changed, publishes it if it is no
+ * longer a draft, and
+ * flags it for a content update if its content changed. Pages archived in
+ * Slite are restored while their content is updated, as Outline does not
+ * allow editing archived documents, and archived again by archivePages.
+ * @param {Object} node - Document tree node
+ * @param {string} recordPath - Path of its manifest record
+ * @param {string} collectionId - Collection the document belongs in
+ * @param {string|null} parentDocumentId - Parent document it belongs under
+ * @param {Object|null} siblingOrder - Order of its siblings from createSiblingOrder, or null
+ *   to leave it where it is among them
+ * @returns {Promise<string>} Outline document ID
+ */
+async function syncDocument(node, recordPath, collectionId, parentDocumentId, siblingOrder) {
+  if (recordPath !== node.relativePath) {
+    timeStampLog(`Page moved in backup: ${recordPath} -> ${node.relativePath}`);
+    renameDocumentRecord(recordPath, node.relativePath);
+  }
+
+  const record = manifest.documents[node.relativePath];
+  const recordKind = record.kind || 'page';
+  // Records without a hash predate hashing, so there is nothing to compare against
+  const contentChanged = Boolean(record.hash) && record.hash !== node.hash;
+
+  if (record.archived && (node.kind !== 'archived' || contentChanged)) {
+    await makeRequest('documents.restore', { id: record.id });
+    record.archived = false;
+    documentIdMap.set(node.relativePath, record.id);
+    documentUrlMap.set(node.relativePath, record.url);
+    if (node.kind !== 'archived') {
+      syncStats.restored++;
+      timeStampLog(`Restored document: ${node.relativePath}`);
+    }
+  }
+
+  // Drafts can be published and any document archived, but Outline has no
+  // way to turn a document into a template or back into a draft
+  let kind = node.kind;
+  if (recordKind === 'draft' && node.kind === 'page') {
+    await makeRequest('documents.update', { id: record.id, publish: true });
+    timeStampLog(`Published former draft: ${node.relativePath}`);
+  } else if (recordKind !== node.kind && node.kind !== 'archived' && !(recordKind === 'archived' && node.kind === 'page')) {
+    timeStampLog(`${node.relativePath} is now a ${node.kind} in Slite, but its document stays a ${recordKind}`, 'warn');
+    kind = recordKind;
+  }
+
+  const placeChanged = record.collectionId !== undefined && (
+    record.collectionId !== collectionId || (record.parentDocumentId ?? null) !== parentDocumentId
+  );
+  // Archived documents cannot be moved, and stay where they were archived
+  const position = siblingOrder && !record.archived ? siblingOrder.place(record.id) : null;
+  if ((placeChanged || position?.moved) && !record.archived) {
+    const data = { id: record.id, collectionId };
+    if (parentDocumentId) data.parentDocumentId = parentDocumentId;
+    if (position) data.index = position.index;
+    await makeRequest('documents.move', data);
+    if (placeChanged) {
+      syncStats.moved++;
+      timeStampLog(`Moved document: ${node.relativePath}`);
+    } else {
+      syncStats.reordered++;
+      timeStampLog(`Reordered document: ${node.relativePath}`);
+    }
+  }
+
+  if (contentChanged) {
+    record.linksUpdated = false;
+    syncStats.updated++;
+    timeStampLog(`Content changed: ${node.relativePath}`);
+  } else {
+    timeStampLog(`Reusing document: ${node.relativePath}`, 'debug');
+  }
+
+  Object.assign(record, { metadata: node.metadata, hash: node.hash, collectionId, parentDocumentId, kind });
+  await saveManifest(MANIFEST_PATH, manifest);
+  return record.id;
+}
+
+/**
+ * Archives the documents of previous runs whose pages are no longer in the
+ * backup. Only channels migrated in this run are considered.
+ * @param {Array<Object>} channels - Channels migrated in this run
+ * @returns {Promise<void>}
  */
-async function makeRequest(endpoint, data) {
-  const maxRetries = 3;
-  let retries = 0;
+async function archiveRemovedDocuments(channels) {
+  const channelNames = new Set(channels.map(channel => channel.name));
+
+  for (const [relativePath, record] of Object.entries(manifest.documents)) {
+    const channelName = relativePath.split(sep)[0];
+    if (record.archived || seenDocumentPaths.has(relativePath) || !channelNames.has(channelName)) {
+      continue;
+    }
 
-  while (retries < maxRetries) {
     try {
-      const response = await fetch(`${API_BASE}/${endpoint}`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${API_KEY}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(data),
-      });
+      await makeRequest('documents.archive', { id: record.id });
+      record.archived = true;
+      documentIdMap.delete(relativePath);
+      documentUrlMap.delete(relativePath);
+      manifest.unresolvedLinks = manifest.unresolvedLinks
+        .filter(entry => entry.sourcePath !== relativePath);
+      syncStats.archived++;
+      timeStampLog(`Archived document no longer in backup: ${relativePath}`);
+      await saveManifest(MANIFEST_PATH, manifest);
+    } catch (error) {
+      timeStampLog(`Failed to archive document ${relativePath}: ${error.message}`, 'error');
+      runReport.otherFailures.push({ step: 'Archive removed document', item: relativePath, error: error.message });
+    }
+  }
+}
 
-      if (!response.ok) {
-        throw new Error(`API error: ${response.status} ${response.statusText}`);
-      }
+/**
+ * Archives the documents of pages that are archived in Slite. This runs once
+ * their links are updated, as Outline does not allow editing archived
+ * documents. Outline archives a document's children with it, so documents
+ * under a page archived here are only marked as archived.
+ * @returns {Promise<void>}
+ */
+async function archivePages() {
+  const archivedIds = new Set();
+
+  for (const [relativePath, record] of Object.entries(manifest.documents)) {
+    if (record.kind !== 'archived' || record.archived || !seenDocumentPaths.has(relativePath)) {
+      continue;
+    }
+    // Left for the next run, which retries the update first
+    if (runReport.failedDocuments.some(failure => failure.sourcePath === relativePath)) {
+      continue;
+    }
 
-      return await response.json();
+    try {
+      if (!archivedIds.has(record.parentDocumentId)) {
+        await makeRequest('documents.archive', { id: record.id });
+      }
+      record.archived = true;
+      archivedIds.add(record.id);
+      timeStampLog(`Archived page archived in Slite: ${relativePath}`, 'debug');
+      await saveManifest(MANIFEST_PATH, manifest);
     } catch (error) {
-      retries++;
-      const delay = Math.pow(2, retries) * 1000;
-      timeStampLog(`Retry ${retries}/${maxRetries} after ${delay}ms: ${error.message}`);
-      await new Promise(resolve => setTimeout(resolve, delay));
+      timeStampLog(`Failed to archive page ${relativePath}: ${error.message}`, 'error');
+      runReport.otherFailures.push({ step: 'Archive page archived in Slite', item: relativePath, error: error.message });
     }
   }
+}
+
+/**
+ * Builds the key under which an upload is shared. Uploads are only shared
+ * within a collection, since a link to another collection's upload would
+ * break for readers who cannot access that collection.
+ * @param {string} collectionId - ID of the collection the linking document is in
+ * @param {string} hash - Hash of the file content
+ * @returns {string} Key for attachmentHashMap
+ */
+function getAttachmentHashKey(collectionId, hash) {
+  return `${collectionId}:${hash}`;
+}
+
+/**
+ * Records an uploaded attachment in the mappings and persists it to the manifest
+ * @param {string} attachmentPath - Path of the file relative to the backup root, from getAttachmentPath
+ * @param {Object} attachment - Outline attachment with id and url
+ * @param {string} documentId - ID of the document the attachment belongs to
+ * @param {string} sourcePath - Path of that document relative to the backup root
+ * @param {string} hash - Hash of the file content
+ * @returns {Promise<void>}
+ */
+async function recordAttachment(attachmentPath, attachment, documentId, sourcePath, hash) {
+  attachmentUrlMap.set(attachmentPath, attachment.url);
+  manifest.attachments[attachmentPath] = { id: attachment.id, url: attachment.url, documentId, sourcePath, hash };
+  await saveManifest(MANIFEST_PATH, manifest);
+}
 
-  throw new Error(`Failed after ${maxRetries} retries`);
+/**
+ * Makes an API request to Outline
+ * @param {string} endpoint - API endpoint
+ * @param {Object} data - Request payload
+ * @param {Object} [options] - Retry options, see scheduler.run
+ * @param {boolean} [options.idempotent] - Whether the request can safely be sent twice
+ * @param {Function} [options.recover] - Finds the result of a failed attempt that took effect
+ * @returns {Promise<Object>} Response data
+ */
+async function makeRequest(endpoint, data, options = {}) {
+  return scheduler.run(async () => {
+    const response = await fetch(`${API_BASE}/${endpoint}`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${API_KEY}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(data),
+    });
+
+    await throwForStatus(response, `API error on ${endpoint}`);
+    return response.json();
+  }, options);
 }
 
 /**
  * Creates a collection in Outline
- * @param {string} name - Collection name
+ * @param {Object} settings - Collection settings, see resolveChannelConfig
+ * @param {string} settings.name - Collection name
+ * @param {string} [settings.description] - Collection description
+ * @param {string} [settings.icon] - Collection icon
+ * @param {string} [settings.color] - Collection colour as a hex code
+ * @param {string|null} [settings.permission] - Default permission, null for a private collection
+ * @param {boolean} [settings.sharing] - Whether documents can be shared publicly
  * @returns {Promise<Object>} Collection data
  */
-async function createCollection(name) {
+async function createCollection({ name, description, icon, color, permission = 'read_write', sharing }) {
   timeStampLog(`Creating collection: ${name}`);
-  const response = await makeRequest('collections.create', {
-    name,
+  const data = { name, permission };
+
+  if (description) data.description = description;
+  if (icon) data.icon = icon;
+  if (color) data.color = color;
+  if (sharing !== undefined) data.sharing = sharing;
+
+  // Not retried after a server error, which could leave a duplicate collection
+  const response = await makeRequest('collections.create', data, { idempotent: false });
+  return response.data;
+}
+
+/**
+ * Lists all collections in the Outline workspace
+ * @returns {Promise<Array<Object>>} Outline collections
+ */
+async function listCollections() {
+  const limit = 100;
+  const collections = [];
+
+  for (let offset = 0; ; offset += limit) {
+    const response = await makeRequest('collections.list', { offset, limit });
+    collections.push(...response.data);
+    if (response.data.length < limit) {
+      return collections;
+    }
+  }
+}
+
+/**
+ * Lists all users in the Outline workspace
+ * @returns {Promise<Array<Object>>} Outline users
+ */
+async function listOutlineUsers() {
+  const limit = 100;
+  const users = [];
+
+  for (let offset = 0; ; offset += limit) {
+    const response = await makeRequest('users.list', { offset, limit });
+    users.push(...response.data);
+    if (response.data.length < limit) {
+      return users;
+    }
+  }
+}
+
+/**
+ * Adds a user to a collection
+ * @param {string} collectionId - Collection ID
+ * @param {string} userId - Outline user ID
+ * @returns {Promise<void>}
+ */
+async function addCollectionUser(collectionId, userId) {
+  await makeRequest('collections.add_user', {
+    id: collectionId,
+    userId,
     permission: 'read_write'
   });
-  return response.data;
 }
 
 /**
@@ -75,56 +545,135 @@ async function createCollection(name) {
  * @param {string} text - Document content
  * @param {string} collectionId - Collection ID
  * @param {string} [parentDocumentId] - Parent document ID for nested docs
+ * @param {Object} [options]
+ * @param {number} [options.index] - Position among its siblings, or null to add it at the end
+ * @param {string} [options.kind] - 'page', 'archived' (archived later by archivePages), 'draft' to
+ *   leave it unpublished, or 'template'
  * @returns {Promise<Object>} Document data
  */
-async function createDocument(title, text, collectionId, parentDocumentId = null) {
-  timeStampLog(`Creating document: ${title}`);
+async function createDocument(title, text, collectionId, parentDocumentId = null, { index = null, kind = 'page' } = {}) {
+  timeStampLog(`Creating ${kind === 'page' ? 'document' : kind}: ${title}`, 'debug');
   const data = {
     title,
     text,
-    collectionId,
-    publish: true
+    collectionId
   };
 
+  if (kind !== 'draft') {
+    data.publish = true;
+  }
+  if (kind === 'template') {
+    data.template = true;
+  }
   if (parentDocumentId) {
     data.parentDocumentId = parentDocumentId;
   }
+  if (index !== null) {
+    data.index = index;
+  }
 
-  const response = await makeRequest('documents.create', data);
+  const sentAt = Date.now();
+  const response = await makeRequest('documents.create', data, {
+    idempotent: false,
+    recover: () => findCreatedDocument(data, sentAt)
+  });
   return response.data;
 }
 
 /**
- * Uploads a file to S3 using the signed URL from Outline
- * @param {Object} attachmentData - Data from attachments.create response
- * @param {ArrayBuffer} fileData - The file data to upload
- * @param {string} mimeType - The file's mime type
- * @returns {Promise<void>}
+ * Looks up the document a failed documents.create request may have created
+ * anyway, so that retrying it does not leave a duplicate. Only documents with
+ * the same title, created since the request was first sent and not recorded
+ * for another page, are considered.
+ * @param {Object} data - Payload of the documents.create request
+ * @param {number} sentAt - Time the request was first sent, in ms
+ * @returns {Promise<Object|undefined>} Response with the created document, or undefined if there is none
  */
-async function uploadToS3(attachmentData, fileData, mimeType) {
-  const { uploadUrl, form } = attachmentData;
-  
-  const formData = new FormData();
-  
-  // Add all fields from the form data first
-  if (form && typeof form === 'object') {
-    Object.entries(form).forEach(([key, value]) => {
-      formData.append(key, value);
-    });
+async function findCreatedDocument(data, sentAt) {
+  const query = { collectionId: data.collectionId, sort: 'createdAt', direction: 'DESC', limit: 25 };
+  if (data.template) {
+    query.template = true;
+  } else if (data.publish) {
+    query.parentDocumentId = data.parentDocumentId ?? null;
   }
-  
-  // Add the file last with the correct field name
-  formData.append('file', new Blob([fileData], { type: mimeType }));
 
-  const response = await fetch(uploadUrl, {
-    method: 'POST',
-    body: formData
-  });
+  const response = await makeRequest(data.publish ? 'documents.list' : 'documents.drafts', query);
+  const recordedIds = new Set(documentIdMap.values());
+  // Allows for the Outline server's clock running behind this machine's
+  const since = sentAt - 60 * 1000;
+  const document = response.data.find(doc =>
+    doc.title === data.title && !recordedIds.has(doc.id) && Date.parse(doc.createdAt) >= since
+  );
+  if (!document) return undefined;
+
+  timeStampLog(`Document ${data.title} was created by a request that failed, reusing it`, 'warn');
+  return { data: document };
+}
+
+/**
+ * Decodes a URI component, returning it unchanged if it is not valid encoding
+ * @param {string} value - Encoded value
+ * @returns {string} Decoded value
+ */
+function safeDecodeURIComponent(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Finds the URL of the document a link points to. The link is resolved against
+ * the linking document's directory first, like resolveAttachmentPath does for
+ * media, then against the backup root. Links starting with `/` are only
+ * resolved against the backup root.
+ * @param {string} path - Link path, without anchor
+ * @param {string} sourcePath - Path of the linking document relative to the backup root
+ * @param {Map<string, string>} documentUrls - Document URLs keyed by path relative to the backup root
+ * @returns {string|undefined} The document URL
+ */
+function findDocumentUrl(path, sourcePath, documentUrls) {
+  const decodedPath = safeDecodeURIComponent(path);
+  const candidates = decodedPath.startsWith('/')
+    ? [decodedPath.slice(1)]
+    : [join(dirname(sourcePath), decodedPath), decodedPath];
+
+  for (const candidate of candidates) {
+    // Normalize the path (resolve ./ and ../, remove trailing slash and .md)
+    const normalizedPath = normalize(candidate).replace(/\/$/, '').replace(/\.md$/, '');
+    if (normalizedPath.startsWith('..')) continue;
+
+    const docUrl = documentUrls.get(normalizedPath) || documentUrls.get(normalizedPath + '.md');
+    if (docUrl) return docUrl;
+  }
 
-  if (!response.ok) {
-    const text = await response.text();
-    throw new Error(`S3 upload failed: ${response.status} ${response.statusText} - ${text}`);
+  return undefined;
+}
+
+// Per documentUrls map: file name -> document paths, rebuilt when the map grows
+const documentNameIndexes = new WeakMap();
+
+/**
+ * Finds documents with the same file name as a link, wherever they are in the backup
+ * @param {string} path - Link path, without anchor
+ * @param {Map<string, string>} documentUrls - Document URLs keyed by path relative to the backup root
+ * @returns {Array<string>} Paths of matching documents
+ */
+function findDocumentsByName(path, documentUrls) {
+  let cached = documentNameIndexes.get(documentUrls);
+  if (!cached || cached.size !== documentUrls.size) {
+    const index = new Map();
+    for (const docPath of documentUrls.keys()) {
+      if (!docPath.endsWith('.md')) continue;
+      const name = basename(docPath);
+      index.set(name, [...(index.get(name) || []), docPath]);
+    }
+    cached = { size: documentUrls.size, index };
+    documentNameIndexes.set(documentUrls, cached);
   }
+
+  return cached.index.get(basename(safeDecodeURIComponent(path))) || [];
 }
 
 /**
@@ -134,17 +683,20 @@ async function uploadToS3(attachmentData, fileData, mimeType) {
  * @returns {Object} Object containing attachment and document links with their source paths
  */
 function scanMarkdownLinks(content, sourcePath) {
-  const linkRegex = /(!?\[(?:[^\]]*)\]\(([^)]+)\))/g;
-  const attachmentLinks = new Map(); // Map of link -> source document path
+  const attachmentLinks = new Map(); // Map of attachment path -> link and source document path
   const documentLinks = new Map();
 
-  for (const match of content.matchAll(linkRegex)) {
-    const [, , path] = match;
-    if (!path.startsWith('http://') && !path.startsWith('https://')) {
-      if (path.endsWith('.md')) {
-        documentLinks.set(path, sourcePath);
-      } else {
-        attachmentLinks.set(path, sourcePath);
+  for (const link of extractLinks(content)) {
+    // Skip external URLs and links to an anchor in the same document
+    const { path } = splitAnchor(link.url);
+    if (!path || isExternalUrl(path)) continue;
+
+    if (path.endsWith('.md')) {
+      documentLinks.set(path, sourcePath);
+    } else {
+      const attachmentPath = getAttachmentPath(path, relative(SLITE_BACKUP_PATH, sourcePath));
+      if (!attachmentLinks.has(attachmentPath)) {
+        attachmentLinks.set(attachmentPath, { link: path, sourcePath });
       }
     }
   }
@@ -160,19 +712,23 @@ function scanMarkdownLinks(content, sourcePath) {
 async function scanDirectory(dirPath) {
   const allAttachmentLinks = new Map();
   const allDocumentLinks = new Map();
-  const entries = await readdir(dirPath, { withFileTypes: true });
+  const entries = await backupSource.readdir(dirPath);
 
   for (const entry of entries) {
     const fullPath = join(dirPath, entry.name);
     
     if (entry.isFile() && entry.name.endsWith('.md')) {
-      const content = await readFile(fullPath, 'utf-8');
+      const content = await backupSource.readFile(fullPath, 'utf-8');
       const { attachmentLinks, documentLinks } = scanMarkdownLinks(content, fullPath);
-      attachmentLinks.forEach((sourcePath, link) => allAttachmentLinks.set(link, sourcePath));
+      attachmentLinks.forEach((entry, attachmentPath) => {
+        if (!allAttachmentLinks.has(attachmentPath)) allAttachmentLinks.set(attachmentPath, entry);
+      });
       documentLinks.forEach((sourcePath, link) => allDocumentLinks.set(link, sourcePath));
     } else if (entry.isDirectory()) {
       const { attachmentLinks, documentLinks } = await scanDirectory(fullPath);
-      attachmentLinks.forEach((sourcePath, link) => allAttachmentLinks.set(link, sourcePath));
+      attachmentLinks.forEach((entry, attachmentPath) => {
+        if (!allAttachmentLinks.has(attachmentPath)) allAttachmentLinks.set(attachmentPath, entry);
+      });
       documentLinks.forEach((sourcePath, link) => allDocumentLinks.set(link, sourcePath));
     }
   }
@@ -180,6 +736,18 @@ async function scanDirectory(dirPath) {
   return { attachmentLinks: allAttachmentLinks, documentLinks: allDocumentLinks };
 }
 
+/**
+ * Gets the path of the file an attachment link points to, relative to the
+ * backup root. Attachments are keyed by this path, so the same link text in
+ * different documents can point at different files.
+ * @param {string} link - Attachment link, without anchor
+ * @param {string} sourcePath - Path of the linking document relative to the backup root
+ * @returns {string} Attachment path relative to the backup root
+ */
+function getAttachmentPath(link, sourcePath) {
+  return relative(SLITE_BACKUP_PATH, resolveAttachmentPath(link, join(SLITE_BACKUP_PATH, sourcePath)));
+}
+
 /**
  * Resolves an attachment path relative to its source document
  * @param {string} attachmentPath - The path to the attachment from the markdown
@@ -188,7 +756,7 @@ async function scanDirectory(dirPath) {
  */
 function resolveAttachmentPath(attachmentPath, sourceDocPath) {
   const sourceDir = dirname(sourceDocPath);
-  const decodedPath = decodeURIComponent(attachmentPath);
+  const decodedPath = safeDecodeURIComponent(attachmentPath);
   
   // If the path includes 'media_', resolve relative to the source directory
   if (decodedPath.includes('media_')) {
@@ -201,73 +769,21 @@ function resolveAttachmentPath(attachmentPath, sourceDocPath) {
 }
 
 /**
- * Uploads all attachments found in the scan
- * @param {Map<string, string>} attachmentLinks - Map of attachment paths to their source document paths
- */
-async function uploadAllAttachments(attachmentLinks) {
-  for (const [link, sourcePath] of attachmentLinks.entries()) {
-    try {
-      const fullPath = resolveAttachmentPath(link, sourcePath);
-      
-      const f = Bun.file(fullPath);
-      if (!await f.exists()) {
-        timeStampLog(`File not found: ${fullPath}`);
-        continue;
-      }
-
-      const fileData = await f.arrayBuffer();
-      const fileName = basename(fullPath);
-      const ext = fileName.split('.').pop()?.toLowerCase();
-      const mimeType = {
-        'jpg': 'image/jpeg',
-        'jpeg': 'image/jpeg',
-        'png': 'image/png',
-        'gif': 'image/gif',
-        'pdf': 'application/pdf'
-      }[ext] || 'application/octet-stream';
-
-      // Create the attachment record first
-      const createResponse = await makeRequest('attachments.create', {
-        name: fileName,
-        contentType: mimeType,
-        size: fileData.byteLength
-      });
-
-      if (!createResponse.data?.uploadUrl) {
-        throw new Error('No upload URL received from Outline');
-      }
-
-      // Upload the file using the signed URL and form data
-      await uploadToS3(createResponse.data, fileData, mimeType);
-
-      // Store the mapping of original path to Outline URL
-      attachmentUrlMap.set(link, createResponse.data.attachment.url);
-      timeStampLog(`Successfully uploaded attachment: ${fileName}`);
-
-    } catch (error) {
-      timeStampLog(`Failed to upload attachment ${link}: ${error.message}`);
-      // Log more details about the error
-      if (error.response) {
-        const text = await error.response.text();
-        timeStampLog(`Response details: ${text}`);
-      }
-    }
-  }
-}
-
-/**
- * Extracts title and content from a markdown document, skipping the first 6 lines
- * and using the first H1 (#) line as the title. That H1 line is removed from
- * the returned content to avoid duplication.
+ * Extracts title, content and metadata from a markdown document. The Slite
+ * metadata header is parsed off the top, and the first H1 (#) line is used as
+ * the title. That H1 line is removed from the returned content to avoid
+ * duplication. Slite specific constructs such as callouts and mentions are
+ * converted with convertSliteMarkdown. Depending on SLITE_METADATA, the
+ * metadata is rendered back into the content as a property table or a footer.
  * 
  * @param {string} content - Raw document content
- * @param {string} fileName - Original file name for fallback title
- * @returns {Object} Object containing title and cleaned content
+ * @param {string} sourcePath - Path of the document relative to the backup root
+ * @returns {Object} Object containing title, cleaned content and metadata
  */
-function parseDocumentContent(content, fileName) {
-  // Split into lines and discard first 6 (the metadata)
-  const lines = content.split('\n');
-  let mainContent = lines.slice(6).join('\n');
+function parseDocumentContent(content, sourcePath) {
+  // Split off the metadata header
+  const { metadata, body } = parseMetadataHeader(content);
+  let mainContent = body;
 
   // Look for the first H1 header
   const headerMatch = mainContent.match(/^[ \t]*#\s*(.+?)(?:\n|$)/m);
@@ -281,45 +797,108 @@ function parseDocumentContent(content, fileName) {
     // Also remove any leading blank lines after removing the header
     mainContent = mainContent.replace(/^\n+/, '');
   } else {
-    // If no H1 header found, use the filename minus extension as fallback
-    title = basename(fileName, '.md');
+    // If no H1 header found, use the header title or the filename minus extension as fallback
+    title = metadata?.title || basename(sourcePath, '.md');
+  }
+
+  const formatUser = createUserReferenceFormatter(sourcePath);
+  mainContent = convertSliteMarkdown(mainContent, { formatUser }).trim();
+  const metadataBlock = formatMetadata(metadata, METADATA_STYLE, {
+    author: formatUser(metadata?.author)
+  });
+  if (metadataBlock) {
+    mainContent = METADATA_STYLE === 'table'
+      ? `${metadataBlock}\n\n${mainContent}`
+      : `${mainContent}\n\n${metadataBlock}`;
   }
 
   return { 
     title: title.trim(),
-    content: mainContent.trim()
+    content: mainContent,
+    metadata
   };
 }
 
 /**
- * Creates documents for a directory and its contents
+ * Reads a document from the backup and parses it with parseDocumentContent,
+ * running the beforeParse and afterParse plugin hooks around it
+ * @param {string} filePath - Full path of the markdown file
+ * @returns {Promise<Object|null>} Title, content, metadata and raw content, or null if a plugin skipped it
+ */
+async function readDocument(filePath) {
+  const rawContent = await backupSource.readFile(filePath, 'utf-8');
+  const sourcePath = relative(SLITE_BACKUP_PATH, filePath);
+
+  const source = await runHook(plugins, 'beforeParse', rawContent, {
+    sourcePath,
+    metadata: parseMetadataHeader(rawContent).metadata
+  });
+  if (source === null) return null;
+
+  const parsed = parseDocumentContent(source, sourcePath);
+  const document = await runHook(plugins, 'afterParse', parsed, { sourcePath, metadata: parsed.metadata });
+  return document && { ...document, rawContent };
+}
+
+/**
+ * Walks a directory and builds the tree of documents that would be created for it.
+ * Siblings are sorted with sortPages: in the order of the page order file, then
+ * by the position in their metadata, then by natural name order. Media folders
+ * are left out.
+ *
+ * Slite exports a page with children as both `Foo.md` and a `Foo/` folder, so
+ * the contents of `Foo/` are nested under the `Foo.md` document. Only folders
+ * without a matching page get a "folder" node, or, with FOLDER_PLACEHOLDERS
+ * turned off, have their contents moved up a level.
+ *
+ * Each node gets the kind of document it becomes in Outline, from classifyPage
+ * and the page kind settings: 'page', 'archived', 'draft' or 'template'.
+ * Skipped pages are left out with their sub-pages, and the sub-pages of
+ * archived pages are archived with them. Outline cannot nest documents under
+ * drafts or templates, so drafts with sub-pages are published and the
+ * sub-pages of templates move up a level.
  * @param {string} dirPath - Directory path
- * @param {string} collectionId - Collection ID
- * @param {string} [parentDocumentId] - Parent document ID
- * @returns {Promise<void>}
+ * @returns {Promise<Array<Object>>} Document tree nodes
  */
-async function createDocumentStructure(dirPath, collectionId, parentDocumentId = null) {
-  const entries = await readdir(dirPath, { withFileTypes: true });
+async function buildDocumentTree(dirPath) {
+  const entries = await backupSource.readdir(dirPath);
+  const pages = []; // page nodes, which folders of the same name are nested under
+  const skippedPages = new Set();
+  // Pages to sort, each with the nodes it places in this folder
+  const items = [];
 
   // Process markdown files first
   for (const entry of entries) {
     if (entry.isFile() && entry.name.endsWith('.md')) {
       const filePath = join(dirPath, entry.name);
-      const rawContent = await readFile(filePath, 'utf-8');
-      const { title, content } = parseDocumentContent(rawContent, entry.name);
+      const document = await readDocument(filePath);
+      if (!document) {
+        timeStampLog(`Skipped by plugin: ${relative(SLITE_BACKUP_PATH, filePath)}`);
+        continue;
+      }
 
-      // Create document
-      const doc = await createDocument(title, content, collectionId, parentDocumentId);
-      
-      // Store the document ID mapped to its local path
+      const { title, content, metadata, rawContent } = document;
       const relativePath = relative(SLITE_BACKUP_PATH, filePath);
-      documentIdMap.set(relativePath, doc.id);
-      
-      // Also store the document URL for link updates
-      const docUrl = `/doc/${doc.id}`;
-      documentUrlMap.set(relativePath, docUrl);
-      
-      timeStampLog(`Created document: ${title} with ID: ${doc.id}`);
+      const sourceKind = classifyPage(metadata, relativePath.split(sep)[0]);
+      const action = sourceKind === 'page' ? 'include' : pageKindSettings[sourceKind];
+      const node = {
+        type: 'document',
+        kind: action === 'publish' ? 'page' : sourceKind,
+        title,
+        content,
+        metadata,
+        hash: hashContent(rawContent),
+        path: filePath,
+        relativePath,
+        aliases: [] // other paths that links may use for this document
+      };
+      pages.push(node);
+
+      if (action === 'skip') {
+        timeStampLog(`Skipping ${sourceKind} page: ${relativePath}`);
+        skippedPages.add(node);
+      }
+      items.push({ name: basename(entry.name, '.md'), title, position: getMetadataOrder(metadata), sourceKind, nodes: [node] });
     }
   }
 
@@ -330,85 +909,287 @@ async function createDocumentStructure(dirPath, collectionId, parentDocumentId =
       
       // Skip media folders
       if (await isMediaFolder(fullDirPath)) {
-        timeStampLog(`Skipping media folder: ${entry.name}`);
+        timeStampLog(`Skipping media folder: ${entry.name}`, 'debug');
         continue;
       }
 
-      // Create a document for the directory (acts like a "folder")
-      const dirDoc = await createDocument(
-        entry.name,
-        '', // Empty content for directory documents
-        collectionId,
-        parentDocumentId
+      const relativeDirPath = relative(SLITE_BACKUP_PATH, fullDirPath);
+      const children = await buildDocumentTree(fullDirPath);
+      const page = pages.find(node =>
+        node.type === 'document' && basename(node.path, '.md') === entry.name
       );
 
-      const relativePath = relative(SLITE_BACKUP_PATH, fullDirPath);
-      documentIdMap.set(relativePath, dirDoc.id);
-      documentUrlMap.set(relativePath, `/doc/${dirDoc.id}`);
-
-      // Recursively process the subdirectory
-      await createDocumentStructure(
-        fullDirPath,
-        collectionId,
-        dirDoc.id
-      );
+      if (page && skippedPages.has(page)) {
+        if (children.length > 0) {
+          timeStampLog(`Skipping the ${flattenTree(children).length} sub-pages of ${page.relativePath} with it`);
+        }
+      } else if (page?.kind === 'template') {
+        page.aliases.push(relativeDirPath);
+        items.push({ name: entry.name, title: entry.name, position: null, sourceKind: 'page', nodes: children });
+      } else if (page) {
+        page.children = children;
+        page.aliases.push(relativeDirPath);
+
+        if (page.kind === 'archived') {
+          for (const node of flattenTree(children)) node.kind = 'archived';
+        } else if (page.kind === 'draft' && children.length > 0) {
+          timeStampLog(`Publishing draft ${page.relativePath}, as Outline cannot nest documents under a draft`, 'warn');
+          page.kind = 'page';
+        }
+      } else if (FOLDER_PLACEHOLDERS) {
+        items.push({ name: entry.name, title: entry.name, position: null, sourceKind: 'page', nodes: [{
+          type: 'folder',
+          kind: 'page',
+          title: entry.name,
+          content: '', // Empty content for directory documents
+          metadata: null,
+          hash: hashContent(''),
+          path: fullDirPath,
+          relativePath: relativeDirPath,
+          aliases: [],
+          children
+        }] });
+      } else {
+        // The folder's pages keep their own order, at the folder's place
+        items.push({ name: entry.name, title: entry.name, position: null, sourceKind: 'page', nodes: children });
+      }
     }
   }
-}
 
-/**
- * Updates markdown content with new URLs, skipping first 6 lines and removing
- * the first H1 to remain consistent with how the document was originally created.
- * @param {string} content - Original markdown content
- * @returns {string} Updated content
- */
-function updateMarkdownLinks(content) {
-  // Discard first 6 lines (metadata)
-  const lines = content.split('\n');
-  let cleanedContent = lines.slice(6).join('\n');
+  for (const { sourceKind, nodes: [node] } of items) {
+    if (sourceKind === 'page') continue;
+    const outcome = skippedPages.has(node) ? 'skipped' : node.kind === sourceKind ? 'included' : 'published';
+    pageKindStats[sourceKind][outcome]++;
+  }
 
-  // Remove the first H1 line if it exists
-  cleanedContent = cleanedContent.replace(/^[ \t]*#\s*(.+?)(?:\n+|$)/m, '');
-  cleanedContent = cleanedContent.replace(/^\n+/, '');
+  const folderKey = relative(SLITE_BACKUP_PATH, dirPath).split(sep).join('/');
+  const { sorted, unknownNames } = sortPages(items.filter(item => !skippedPages.has(item.nodes[0])), pageOrder[folderKey]);
+  if (unknownNames.length > 0) {
+    timeStampLog(`Page order for ${folderKey} in ${PAGE_ORDER_PATH} lists pages that are not there: ${unknownNames.join(', ')}`, 'warn');
+  }
 
-  // Now update all links in the cleaned content
-  return cleanedContent.replace(/\[([^\]]+)\]\(([^)]+)\)/g, (match, linkText, path) => {
-    // If it's already a full URL, leave it alone
-    if (path.startsWith('http')) return match;
-    
-    // Normalize the path (remove leading slash, remove .md, decode)
-    const normalizedPath = decodeURIComponent(path.replace(/^\//, '')).replace(/\.md$/, '');
-    
-    // Check if this path corresponds to a document
-    const docUrl = documentUrlMap.get(normalizedPath) || documentUrlMap.get(normalizedPath + '.md');
-    if (docUrl) {
-      return `[${linkText}](${docUrl})`;
-    }
-    
-    // Check if this path corresponds to an uploaded attachment
-    const attachmentUrl = attachmentUrlMap.get(path);
-    if (attachmentUrl) {
-      return `[${linkText}](${attachmentUrl})`;
-    }
-    
-    // Otherwise return original match
-    return match;
-  });
+  return sorted.flatMap(item => item.nodes);
 }
 
 /**
- * Checks if a directory is a media folder
- * @param {string} dirPath - Directory path to check
- * @returns {Promise<boolean>} True if directory is a media folder
+ * Hashes raw document content, to detect changes between runs
+ * @param {string} content - Raw document content
+ * @returns {string} Hex encoded SHA-256 hash
  */
-async function isMediaFolder(dirPath) {
-  // Check if folder name starts with media_
-  if (basename(dirPath).startsWith('media_')) {
-    return true;
-  }
+function hashContent(content) {
+  return createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Creates documents in Outline for a tree built by buildDocumentTree. Siblings
+ * are created one after another to keep their order, then the subtrees below
+ * them are processed concurrently. Documents from a previous run are synced
+ * with syncDocument instead of being created again.
+ *
+ * When the migration owns all the siblings, each document is given its index
+ * among them, so pages added by a later sync land in the right place, and
+ * documents of a previous run whose order relative to their siblings changed
+ * are moved into the order of the backup. Elsewhere, e.g. at the top of a collection that is merged into, documents
+ * are added at the end.
+ * @param {Array<Object>} nodes - Document tree nodes
+ * @param {string} collectionId - Collection ID
+ * @param {string} [parentDocumentId] - Parent document ID
+ * @param {Object} [options]
+ * @param {Object} [options.progress] - Progress from createProgress, ticked for each node
+ * @param {boolean} [options.ordered] - Whether to set each document's index among its siblings
+ * @returns {Promise<void>}
+ */
+async function createTreeDocuments(nodes, collectionId, parentDocumentId = null, { progress = null, ordered = true } = {}) {
+  const subtrees = [];
+  const siblingOrder = ordered ? createSiblingOrder(getSiblingIds(collectionId, parentDocumentId)) : null;
+  const orderKeys = new Map(); // document path -> its key in siblingOrder
+
+  for (const node of nodes) {
+    const recordPath = findDocumentRecord(node);
+    // Drafts and templates are not in the collection's document tree, and
+    // templates are never nested
+    const inTree = node.kind !== 'draft' && node.kind !== 'template';
+    const nodeOrder = inTree ? siblingOrder : null;
+    const documentParentId = node.kind === 'template' ? null : parentDocumentId;
+    let docId;
+
+    if (recordPath) {
+      docId = await syncDocument(node, recordPath, collectionId, documentParentId, nodeOrder);
+      orderKeys.set(node.relativePath, docId);
+    } else {
+      const document = await runHook(plugins, 'beforeCreateDocument', { title: node.title, content: node.content }, {
+        sourcePath: node.relativePath,
+        metadata: node.metadata,
+        collectionId,
+        parentDocumentId
+      });
+      if (!document) {
+        timeStampLog(`Skipped by plugin: ${node.relativePath}`);
+        // Recorded so verify does not expect a document for it
+        if (!manifest.skippedDocuments.includes(node.relativePath)) {
+          manifest.skippedDocuments.push(node.relativePath);
+          await saveManifest(MANIFEST_PATH, manifest);
+        }
+        progress?.tick();
+        // Its sub-pages take its place under its parent, after its siblings
+        if (node.children) {
+          subtrees.push({ children: node.children, docId: parentDocumentId, ordered: false });
+        }
+        continue;
+      }
+
+      // Create document and store its ID and URL mapped to its local path
+      const index = nodeOrder ? nodeOrder.place(node.relativePath).index : null;
+      const doc = await createDocument(document.title, document.content, collectionId, documentParentId, { index, kind: node.kind });
+      docId = doc.id;
+      orderKeys.set(node.relativePath, node.relativePath);
+      await recordDocument(node, docId, collectionId, documentParentId, index);
+      syncStats.created++;
+
+      timeStampLog(`Created document: ${node.title} with ID: ${docId}`, 'debug');
+    }
+    seenDocumentPaths.add(node.relativePath);
+    progress?.tick();
+
+    // Links to a page's folder lead to the page itself
+    for (const alias of node.aliases) {
+      documentUrlMap.set(alias, `/doc/${docId}`);
+    }
+
+    if (node.children) {
+      subtrees.push({ children: node.children, docId, ordered: true });
+    }
+  }
+
+  // Moves and new pages shift the documents after them, so the final
+  // positions are recorded once all siblings are in place
+  if (siblingOrder) {
+    for (const [relativePath, key] of orderKeys) {
+      const index = siblingOrder.indexOf(key);
+      if (index !== -1) manifest.documents[relativePath].index = index;
+    }
+    await saveManifest(MANIFEST_PATH, manifest);
+  }
+
+  // Recursively process each subdirectory under its "folder" document
+  await mapConcurrent(subtrees, CONCURRENCY, ({ children, docId, ordered }) =>
+    createTreeDocuments(children, collectionId, docId, { progress, ordered })
+  );
+}
+
+/**
+ * Updates markdown content with new URLs
+ * @param {string} content - Document content, as returned by readDocument
+ * @param {string} sourcePath - Path of the document relative to the backup root
+ * @param {Object} [options]
+ * @param {Map<string, string>} [options.documentUrls] - Document URLs to resolve against
+ * @param {Map<string, string>} [options.attachmentUrls] - Attachment URLs keyed by getAttachmentPath
+ * @param {Map<string, string>} [options.sliteIds] - Document paths keyed by Slite document ID
+ * @param {Function} [options.formatUrl] - Turns a document or attachment URL from the maps into
+ *   the link written to the content, e.g. a path relative to the linking document
+ * @param {Function} [options.onUnresolved] - Called with each `.md` or Slite link that could not
+ *   be resolved, its reason ('missing', 'ambiguous' or 'not-exported') and any candidate paths
+ * @returns {string} Updated content
+ */
+function updateMarkdownLinks(content, sourcePath, {
+  documentUrls = documentUrlMap,
+  attachmentUrls = attachmentUrlMap,
+  sliteIds = sliteIdMap,
+  formatUrl = url => url,
+  onUnresolved = () => {}
+} = {}) {
+  // Update all links in the content, keeping their anchors
+  return rewriteLinks(content, link => {
+    const { path, anchor } = splitAnchor(link.url);
+    const toLink = url => formatUrl(url) + anchor;
+
+    // Point links to Slite documents at their migrated copy
+    const sliteId = parseSliteDocId(path);
+    if (sliteId) {
+      const targetPath = sliteIds.get(sliteId);
+      if (targetPath && documentUrls.has(targetPath)) {
+        return toLink(documentUrls.get(targetPath));
+      }
+      onUnresolved(link.url, 'not-exported', []);
+      return undefined;
+    }
+
+    // If it's already a full URL or an anchor in this document, leave it alone
+    if (!path || isExternalUrl(path)) return undefined;
+    
+    // Check if this path corresponds to a document
+    const docUrl = findDocumentUrl(path, sourcePath, documentUrls);
+    if (docUrl) {
+      return toLink(docUrl);
+    }
+    
+    // Check if this path corresponds to an uploaded attachment
+    const attachmentUrl = attachmentUrls.get(getAttachmentPath(path, sourcePath));
+    if (attachmentUrl) {
+      return toLink(attachmentUrl);
+    }
+
+    if (!path.endsWith('.md')) {
+      return undefined;
+    }
+
+    // As a last resort, match a document by its file name alone
+    const candidates = findDocumentsByName(path, documentUrls);
+    if (candidates.length === 1) {
+      return toLink(documentUrls.get(candidates[0]));
+    }
+
+    // Otherwise keep the original link
+    onUnresolved(link.url, candidates.length > 1 ? 'ambiguous' : 'missing', candidates);
+    return undefined;
+  });
+}
+
+/**
+ * Prepares the title and text of a migrated document as the link update phase
+ * writes them: the content as when the document was created, with its links
+ * pointing at Outline
+ * @param {string} docPath - Path of the document relative to the backup root
+ * @param {string} documentId - Outline document ID
+ * @param {Function} [onUnresolved] - Passed on to updateMarkdownLinks
+ * @returns {Promise<Object|null>} Title and text, or null if a plugin skipped the document;
+ *   text is null if a plugin skipped the link update
+ */
+async function renderDocument(docPath, documentId, onUnresolved) {
+  const record = manifest.documents[docPath];
+  const context = {
+    sourcePath: docPath,
+    metadata: record.metadata,
+    collectionId: record.collectionId,
+    parentDocumentId: record.parentDocumentId ?? null
+  };
+
+  const source = await readDocument(join(SLITE_BACKUP_PATH, docPath));
+  const document = source && await runHook(plugins, 'beforeCreateDocument', { title: source.title, content: source.content }, context);
+  if (!document) {
+    return null;
+  }
+
+  const text = await runHook(plugins, 'afterUpdateLinks', updateMarkdownLinks(document.content, docPath, { onUnresolved }), {
+    ...context,
+    documentId
+  });
+  return { title: document.title, text };
+}
+
+/**
+ * Checks if a directory is a media folder
+ * @param {string} dirPath - Directory path to check
+ * @returns {Promise<boolean>} True if directory is a media folder
+ */
+async function isMediaFolder(dirPath) {
+  // Check if folder name starts with media_
+  if (basename(dirPath).startsWith('media_')) {
+    return true;
+  }
 
   // Check if folder only contains media files
-  const entries = await readdir(dirPath, { withFileTypes: true });
+  const entries = await backupSource.readdir(dirPath);
   const files = entries.filter(entry => entry.isFile());
   
   // If there are no files, it's not a media folder
@@ -417,55 +1198,28 @@ async function isMediaFolder(dirPath) {
   }
 
   // Check if all files are known media files
-  const mediaExtensions = new Set(['.jpg', '.jpeg', '.png', '.gif', '.pdf']);
-  return files.every(file => {
-    const ext = file.name.toLowerCase().match(/\.[^.]+$/)?.[0];
-    return ext && mediaExtensions.has(ext);
-  });
+  return files.every(file => isAttachmentFileName(file.name));
 }
 
 /**
- * Uploads an attachment and associates it with a document
+ * Uploads an attachment and associates it with a document. The file is
+ * streamed from disk rather than loaded into memory.
  * @param {string} filePath - Path to the file
  * @param {string} documentId - ID of the document to attach to
- * @returns {Promise<string>} The attachment URL
+ * @param {Object} file - Size and mimeType of the file, from inspectFile
+ * @param {string} [fileName] - Name to upload the file as
+ * @returns {Promise<Object>} The attachment, with its id and url
  */
-async function uploadAttachment(filePath, documentId) {
+async function uploadAttachment(filePath, documentId, { size, mimeType }, fileName = basename(filePath)) {
   try {
-    const f = Bun.file(filePath);
-    const fileData = await f.arrayBuffer();
-    const fileName = basename(filePath);
-    const ext = fileName.split('.').pop()?.toLowerCase();
-    const mimeType = {
-      'jpg': 'image/jpeg',
-      'jpeg': 'image/jpeg',
-      'png': 'image/png',
-      'gif': 'image/gif',
-      'pdf': 'application/pdf'
-    }[ext] || 'application/octet-stream';
-
     // Step 1: Create the attachment record
-    const createResponse = await fetch(`${API_BASE}/attachments.create`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${API_KEY}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        name: fileName,
-        documentId,
-        contentType: mimeType,
-        size: fileData.byteLength,
-        preset: 'documentAttachment'
-      })
-    });
-
-    if (!createResponse.ok) {
-      const text = await createResponse.text();
-      throw new Error(`Failed to create attachment: ${createResponse.status} ${text}`);
-    }
-
-    const responseData = await createResponse.json();
+    const responseData = await makeRequest('attachments.create', {
+      name: fileName,
+      documentId,
+      contentType: mimeType,
+      size,
+      preset: 'documentAttachment'
+    }, { idempotent: false });
     
     if (!responseData.data?.uploadUrl) {
       throw new Error(`No upload URL in response: ${JSON.stringify(responseData)}`);
@@ -481,31 +1235,227 @@ async function uploadAttachment(filePath, documentId) {
       });
     }
     
-    // Add the file last
-    formData.append('file', new Blob([fileData], { type: mimeType }), fileName);
+    // Add the file last, as a file-backed blob that is read as it is sent
+    formData.append('file', await backupSource.openBlob(filePath, mimeType), fileName);
 
     const uploadUrl = responseData.data.uploadUrl.startsWith('http') 
       ? responseData.data.uploadUrl 
-      : `${process.env.OUTLINE_DOMAIN}${responseData.data.uploadUrl}`;
+      : `${OUTLINE_DOMAIN}${responseData.data.uploadUrl}`;
 
-    const uploadResponse = await fetch(uploadUrl, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${API_KEY}`
-      },
-      body: formData
+    await scheduler.run(async () => {
+      const uploadResponse = await fetch(uploadUrl, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${API_KEY}`
+        },
+        body: formData
+      });
+
+      await throwForStatus(uploadResponse, 'Failed to upload to S3');
     });
 
-    if (!uploadResponse.ok) {
-      const text = await uploadResponse.text();
-      throw new Error(`Failed to upload to S3: ${uploadResponse.status} ${text}`);
+    return responseData.data.attachment;
+  } catch (error) {
+    timeStampLog(`Error in uploadAttachment: ${error.message}`, 'debug');
+    throw error;
+  }
+}
+
+/**
+ * Logs the links that could not be resolved to a migrated document
+ * @param {Array<Object>} unresolvedLinks - Entries with sourcePath, link, reason and candidates
+ * @param {string} [recordPath] - File the links are also recorded in
+ */
+function reportUnresolvedLinks(unresolvedLinks, recordPath = MANIFEST_PATH) {
+  if (unresolvedLinks.length === 0) {
+    return;
+  }
+
+  timeStampLog(`Unresolved links (${unresolvedLinks.length}), also recorded in ${recordPath}:`, 'warn');
+  for (const { sourcePath, link, reason, candidates } of unresolvedLinks) {
+    timeStampLog(`  ${sourcePath}: ${link} (${describeUnresolvedLink(reason, candidates)})`, 'warn');
+  }
+}
+
+/**
+ * Counts the pages in a channel folder and finds media folders that have no
+ * page next to them
+ * @param {string} dirPath - Directory to check
+ * @returns {Promise<{ pages: number, orphanedMediaFolders: Array<string> }>} Layout summary
+ */
+async function checkChannelLayout(dirPath) {
+  const entries = await backupSource.readdir(dirPath);
+  const pageNames = new Set(entries
+    .filter(entry => entry.isFile() && entry.name.endsWith('.md'))
+    .map(entry => basename(entry.name, '.md')));
+  let pages = pageNames.size;
+  const orphanedMediaFolders = [];
+
+  for (const entry of entries) {
+    if (!entry.isDirectory()) {
+      continue;
     }
 
-    return responseData.data.attachment.url;
+    const fullPath = join(dirPath, entry.name);
+    if (entry.name.startsWith('media_')) {
+      if (!pageNames.has(entry.name.slice('media_'.length))) {
+        orphanedMediaFolders.push(relative(SLITE_BACKUP_PATH, fullPath));
+      }
+      continue;
+    }
+
+    const nested = await checkChannelLayout(fullPath);
+    pages += nested.pages;
+    orphanedMediaFolders.push(...nested.orphanedMediaFolders);
+  }
+
+  return { pages, orphanedMediaFolders };
+}
+
+/**
+ * Checks everything a migration needs before it writes anything to Outline:
+ * the API key and what its user may do, the backup layout, the collections
+ * the channels go into, and the attachments the pages link to. Errors are
+ * problems the migration would fail on; warnings are worked around.
+ * @returns {Promise<Object>} Report with checks, errors, warnings and the resolved channels
+ */
+async function preflight() {
+  const report = { checks: [], errors: [], warnings: [], channels: [] };
+  const { checks, errors, warnings } = report;
+
+  // Outline account and permissions
+  let abilities = null;
+  try {
+    const response = await makeRequest('auth.info', {});
+    const { user, team } = response.data;
+    abilities = getWorkspaceAbilities(response);
+    checks.push(`Signed in to ${team.name} (${OUTLINE_DOMAIN}) as ${user.name}${user.email ? ` <${user.email}>` : ''}${user.role ? `, role: ${user.role}` : ''}`);
   } catch (error) {
-    timeStampLog(`Error in uploadAttachment: ${error.message}`);
-    throw error;
+    errors.push(error.status === 401
+      ? `The API key was rejected by ${OUTLINE_DOMAIN}. Check OUTLINE_API_KEY, and that the key has not expired or been revoked`
+      : `Could not reach the Outline API at ${API_BASE}: ${error.message}. Check OUTLINE_DOMAIN`);
+  }
+
+  // Backup layout
+  const backupRoot = await backupSource.stat(SLITE_BACKUP_PATH).catch(() => null);
+  if (!backupRoot?.isDirectory()) {
+    errors.push(`Slite backup not found at ${SLITE_BACKUP_PATH}. Pass --source with the extracted backup folder or its channels folder`);
+    return report;
+  }
+
+  report.channels = await resolveChannels();
+  const channels = report.channels.filter(channel => !channel.settings.skip);
+  if (report.channels.length === 0) {
+    errors.push(`No channel folders in ${SLITE_BACKUP_PATH}. Pass --source with the extracted backup folder or its channels folder`);
+  } else if (channels.length === 0) {
+    errors.push(`None of the ${report.channels.length} channels is selected. Check --include, --exclude and the skip settings in ${COLLECTION_CONFIG_PATH}`);
+  }
+
+  let pageCount = 0;
+  for (const channel of channels) {
+    const { pages, orphanedMediaFolders } = await checkChannelLayout(channel.path);
+    pageCount += pages;
+    if (pages === 0) {
+      warnings.push(`Channel ${channel.name} has no .md pages, nothing will be migrated from it`);
+    }
+    for (const folder of orphanedMediaFolders) {
+      warnings.push(`Media folder ${folder} has no page next to it, its files are only uploaded if a page links to them`);
+    }
+  }
+  checks.push(`Backup ${SLITE_BACKUP_PATH}: ${channels.length} of ${report.channels.length} channels selected, ${pageCount} pages`);
+
+  // Collections the channels go into, unless a previous run already recorded them
+  const pendingChannels = channels.filter(channel => !manifest.collections[channel.name]);
+  if (abilities && pendingChannels.length > 0) {
+    if (PARENT_DOCUMENT) {
+      try {
+        const parent = await getParentDocument();
+        checks.push(`Channels will be nested under document: ${parent.title}`);
+      } catch (error) {
+        errors.push(`Parent document ${PARENT_DOCUMENT} could not be loaded: ${error.message}. Check the ID or URL given with --parent`);
+      }
+
+      // Nested pages can be read by everyone with access to the parent's collection
+      for (const channel of pendingChannels.filter(channel => channel.settings.private && !channel.settings.allowWiderAccess)) {
+        errors.push(`Channel ${channel.name} is private, but would be nested under the --parent document, where everyone with access to its collection can read it. Leave the channel out, or set allowWiderAccess for it in ${COLLECTION_CONFIG_PATH}`);
+      }
+    } else {
+      const existing = new Map((await listCollections()).map(collection => [collection.name.toLowerCase(), collection]));
+      const newCollections = new Map(); // lower-cased name -> channel name
+
+      for (const channel of pendingChannels) {
+        const { name, mergeInto } = channel.settings;
+        if (mergeInto) {
+          const target = existing.get(mergeInto.toLowerCase());
+          if (!target) {
+            errors.push(`Collection "${mergeInto}" to merge channel ${channel.name} into does not exist. Create it in Outline, or fix mergeInto in ${COLLECTION_CONFIG_PATH}`);
+          } else if (target.permission && channel.settings.private && !channel.settings.allowWiderAccess) {
+            errors.push(`Channel ${channel.name} is private, but would be merged into collection "${target.name}", which everyone in the workspace can ${target.permission === 'read' ? 'read' : 'edit'}. Merge it into a private collection, or set allowWiderAccess for it in ${COLLECTION_CONFIG_PATH}`);
+          }
+          continue;
+        }
+
+        const key = name.toLowerCase();
+        if (existing.has(key)) {
+          errors.push(`A collection named "${existing.get(key).name}" already exists, channel ${channel.name} would create a second one. Set mergeInto in ${COLLECTION_CONFIG_PATH} to migrate into it, or give the channel another name`);
+        } else if (newCollections.has(key)) {
+          errors.push(`Channels ${newCollections.get(key)} and ${channel.name} would both create a collection named "${name}". Give one of them another name in ${COLLECTION_CONFIG_PATH}`);
+        }
+        newCollections.set(key, channel.name);
+      }
+
+      if (newCollections.size > 0 && !abilities.createCollection) {
+        errors.push(`The API key's user may not create collections, and ${newCollections.size} of the channels need a new one. Use the key of an admin, or set mergeInto for those channels in ${COLLECTION_CONFIG_PATH}`);
+      }
+      checks.push(`Collections: ${newCollections.size} to create, ${pendingChannels.length - newCollections.size} existing to merge into`);
+    }
   }
+
+  // Attachments the pages link to, unless a previous run already uploaded them
+  const { attachmentLinks } = await scanChannels(channels);
+  let attachmentCount = 0;
+  let attachmentSize = 0;
+  for (const [attachmentPath, { link, sourcePath }] of attachmentLinks.entries()) {
+    if (attachmentUrlMap.has(attachmentPath)) {
+      continue;
+    }
+
+    const relativeSourcePath = relative(SLITE_BACKUP_PATH, sourcePath);
+    const file = await backupSource.stat(join(SLITE_BACKUP_PATH, attachmentPath)).catch(() => null);
+    if (!file?.isFile()) {
+      warnings.push(`Attachment ${link} in ${relativeSourcePath} not found at ${attachmentPath}, the link will be left as it is`);
+    } else if (file.size > ATTACHMENT_MAX_SIZE) {
+      warnings.push(`Attachment ${attachmentPath} in ${relativeSourcePath} is ${formatSize(file.size)}, over the ${formatSize(ATTACHMENT_MAX_SIZE)} limit, and will be skipped. Raise ATTACHMENT_MAX_SIZE if your Outline accepts larger files`);
+    } else {
+      attachmentCount++;
+      attachmentSize += file.size;
+    }
+  }
+
+  if (abilities && attachmentCount > 0 && !abilities.createAttachment) {
+    errors.push(`The API key's user may not upload attachments, and ${attachmentCount} files are linked from the pages. Use the key of a member or admin`);
+  }
+  checks.push(`Attachments: ${attachmentCount} to upload (${formatSize(attachmentSize)})`);
+
+  return report;
+}
+
+/**
+ * Runs the preflight checks and prints their report
+ * @returns {Promise<Array<Object>>} Channels from resolveChannels
+ * @throws {Error} If any check failed, before anything was written to Outline
+ */
+async function runPreflight() {
+  timeStampLog('Running preflight checks...');
+  const report = await preflight();
+  console.log(formatPreflightReport(report));
+
+  if (report.errors.length > 0) {
+    throw new Error(`Preflight checks failed with ${report.errors.length} errors, nothing was changed in Outline`);
+  }
+
+  timeStampLog(`Preflight checks passed${report.warnings.length > 0 ? ` with ${report.warnings.length} warnings` : ''}`);
+  return report.channels;
 }
 
 /**
@@ -513,89 +1463,1144 @@ async function uploadAttachment(filePath, documentId) {
  */
 async function migrate() {
   try {
+    assertCredentials();
     timeStampLog('Starting migration...');
 
+    manifest = await loadManifest(MANIFEST_PATH);
+    hydrateFromManifest(manifest);
+    const isSync = manifest.phase === 'complete';
+    if (isSync) {
+      timeStampLog(`Previous run completed at ${manifest.updatedAt}, syncing changes from ${MANIFEST_PATH}`);
+    } else if (documentIdMap.size > 0) {
+      timeStampLog(`Resuming from ${MANIFEST_PATH} (phase: ${manifest.phase}, ${documentIdMap.size} documents, ${attachmentUrlMap.size} attachments)`);
+    }
+
+    // Check everything that can be checked before writing to Outline
+    const allChannels = await runPreflight();
+    userMapping = await mapUsers();
+
     // Phase 1: Create all documents first
     timeStampLog('Creating document structure...');
-    const channels = await readdir(SLITE_BACKUP_PATH, { withFileTypes: true });
-
-    for (const channel of channels) {
-      if (channel.isDirectory()) {
-        const collection = await createCollection(channel.name);
-        await createDocumentStructure(
-          join(SLITE_BACKUP_PATH, channel.name),
-          collection.id
-        );
+    manifest.phase = 'structure';
+    await flushManifest(MANIFEST_PATH, manifest);
+    const channels = [];
+    const channelTrees = [];
+
+    for (const channel of allChannels) {
+      if (channel.settings.skip) {
+        timeStampLog(`Skipping channel: ${channel.name}`);
+        continue;
+      }
+      channels.push(channel);
+      channelTrees.push({ channel, nodes: await buildDocumentTree(channel.path) });
+    }
+
+    // Channels nested under a parent document have a document of their own
+    const isNested = channel => Boolean(PARENT_DOCUMENT || manifest.collections[channel.name]?.parentDocumentId);
+    const documentProgress = createProgress('Creating documents', channelTrees.reduce(
+      (sum, { channel, nodes }) => sum + flattenTree(nodes).length + (isNested(channel) ? 1 : 0), 0
+    ));
+
+    for (const { channel, nodes } of channelTrees) {
+      const collection = await getChannelCollection(channel);
+
+      // Leave the memberships of pre-existing collections alone
+      if (collection.created !== false) {
+        await addCollectionAuthors(collection.id, nodes);
+      }
+
+      if (collection.parentDocumentId) {
+        await createTreeDocuments([buildChannelNode(channel, nodes)], collection.id, collection.parentDocumentId, {
+          progress: documentProgress,
+          ordered: false
+        });
+      } else {
+        // Only order the top level of collections the migration created
+        await createTreeDocuments(nodes, collection.id, null, {
+          progress: documentProgress,
+          ordered: collection.created !== false
+        });
       }
     }
+    runReport.phases.push(documentProgress.finish());
+
+    await archiveRemovedDocuments(channels);
 
     // Phase 2: Scan for attachments and upload them
     timeStampLog('Scanning for attachments...');
-    const { attachmentLinks } = await scanDirectory(SLITE_BACKUP_PATH);
+    manifest.phase = 'attachments';
+    await flushManifest(MANIFEST_PATH, manifest);
+    const { attachmentLinks } = await scanChannels(channels);
+
+    // Skip attachments uploaded by a previous run
+    const pendingAttachments = [...attachmentLinks.entries()]
+      .filter(([attachmentPath]) => !attachmentUrlMap.has(attachmentPath));
+
+    // Check every file before uploading any, so oversized files are reported up front
+    const checkProgress = createProgress('Checking attachments', pendingAttachments.length);
+    const checkedAttachments = await mapConcurrent(pendingAttachments, CONCURRENCY, async ([attachmentPath, { sourcePath }]) => {
+      const relativeSourcePath = relative(SLITE_BACKUP_PATH, sourcePath);
+      const skip = reason => {
+        runReport.skippedAttachments.push({ attachmentPath, sourcePath: relativeSourcePath, reason });
+        checkProgress.tick();
+        return null;
+      };
 
-    for (const [link, sourcePath] of attachmentLinks.entries()) {
       try {
         // Get the document ID for this attachment
-        const relativeSourcePath = relative(SLITE_BACKUP_PATH, sourcePath);
         const documentId = documentIdMap.get(relativeSourcePath);
 
         if (!documentId) {
-          timeStampLog(`No document ID found for ${relativeSourcePath}`);
-          continue;
+          timeStampLog(`No document ID found for ${relativeSourcePath}`, 'warn');
+          return skip('its document was not migrated');
         }
 
-        const fullPath = resolveAttachmentPath(link, sourcePath);
-        
-        // Check if file exists before trying to upload
-        const f = Bun.file(fullPath);
-        if (!await f.exists()) {
-          timeStampLog(`File not found: ${fullPath}`);
-          continue;
+        const fullPath = join(SLITE_BACKUP_PATH, attachmentPath);
+        const upload = await runHook(plugins, 'beforeUploadAttachment', { filePath: fullPath, name: basename(fullPath) }, {
+          sourcePath: relativeSourcePath,
+          metadata: manifest.documents[relativeSourcePath]?.metadata ?? null,
+          documentId
+        });
+        if (!upload) {
+          timeStampLog(`Attachment skipped by plugin: ${attachmentPath}`);
+          return skip('skipped by plugin');
         }
 
-        const attachmentUrl = await uploadAttachment(fullPath, documentId);
-        attachmentUrlMap.set(link, attachmentUrl);
-        
-        timeStampLog(`Successfully uploaded attachment for document ${documentId}`);
+        const file = await inspectFile(upload.filePath, backupSource.createReadStream);
+        if (!file) {
+          timeStampLog(`File not found: ${upload.filePath}`, 'warn');
+          runReport.missingAttachments.push({ attachmentPath, sourcePath: relativeSourcePath });
+          checkProgress.tick();
+          return null;
+        }
+
+        if (file.size > ATTACHMENT_MAX_SIZE) {
+          timeStampLog(`Skipping ${attachmentPath} (${formatSize(file.size)}), over the ${formatSize(ATTACHMENT_MAX_SIZE)} upload limit (set ATTACHMENT_MAX_SIZE to change it)`, 'warn');
+          return skip(`${formatSize(file.size)}, over the ${formatSize(ATTACHMENT_MAX_SIZE)} upload limit`);
+        }
+
+        checkProgress.tick();
+        return { attachmentPath, sourcePath: relativeSourcePath, documentId, upload, file };
       } catch (error) {
-        timeStampLog(`Failed to upload attachment ${link}: ${error.message}`);
+        timeStampLog(`Failed to read attachment ${attachmentPath}: ${error.message}`, 'error');
+        runReport.failedAttachments.push({ attachmentPath, sourcePath: relativeSourcePath, error: error.message });
+        checkProgress.tick(true);
+        return null;
       }
-    }
+    });
+    runReport.phases.push(checkProgress.finish());
+
+    const uploads = checkedAttachments.filter(Boolean);
+    const uploadProgress = createProgress('Uploading attachments', uploads.length);
+    await mapConcurrent(uploads, CONCURRENCY, async ({ attachmentPath, sourcePath, documentId, upload, file }) => {
+      try {
+        // Identical files are uploaded once per collection, and every link to
+        // them from that collection shares the upload
+        const hashKey = getAttachmentHashKey(manifest.documents[sourcePath].collectionId, file.hash);
+        let uploaded = attachmentHashMap.get(hashKey);
+        const reused = Boolean(uploaded);
+        if (!uploaded) {
+          uploaded = uploadAttachment(upload.filePath, documentId, file, upload.name);
+          attachmentHashMap.set(hashKey, uploaded);
+          // Let another copy of the file try again after a failure
+          uploaded.catch(() => attachmentHashMap.delete(hashKey));
+        }
+
+        const attachment = await uploaded;
+        await recordAttachment(attachmentPath, attachment, documentId, sourcePath, file.hash);
+
+        timeStampLog(reused
+          ? `Reusing uploaded copy of ${attachmentPath} for document ${documentId}`
+          : `Successfully uploaded ${attachmentPath} (${file.mimeType}) for document ${documentId}`, 'debug');
+        uploadProgress.tick();
+      } catch (error) {
+        timeStampLog(`Failed to upload attachment ${attachmentPath}: ${error.message}`, 'error');
+        runReport.failedAttachments.push({ attachmentPath, sourcePath, error: error.message });
+        uploadProgress.tick(true);
+      }
+    });
+    runReport.phases.push(uploadProgress.finish());
 
     // Phase 3: Update all documents with correct links
     timeStampLog('Updating document links...');
-    for (const [docPath, docId] of documentIdMap.entries()) {
+    manifest.phase = 'links';
+    await flushManifest(MANIFEST_PATH, manifest);
+    // Skip documents whose links were updated by a previous run, and pages
+    // archived in Slite that are already archived in Outline
+    const pendingDocuments = getPendingLinkUpdates(manifest, [...documentIdMap.keys()])
+      .map(docPath => [docPath, documentIdMap.get(docPath)]);
+
+    const linkProgress = createProgress('Updating links', pendingDocuments.length);
+    await mapConcurrent(pendingDocuments, CONCURRENCY, async ([docPath, docId]) => {
       try {
         const fullPath = join(SLITE_BACKUP_PATH, docPath);
         
         // Check if it's a file and ends with .md before trying to read
-        const stats = await stat(fullPath);
+        const stats = await backupSource.stat(fullPath);
         if (!stats.isFile() || !docPath.endsWith('.md')) {
-          continue;
+          linkProgress.tick();
+          return;
         }
 
-        const content = await readFile(fullPath, 'utf-8');
-        const updatedContent = updateMarkdownLinks(content);
-
-        // Update the document with new content
-        await makeRequest('documents.update', {
-          id: docId,
-          text: updatedContent
+        const unresolved = [];
+        const document = await renderDocument(docPath, docId, (link, reason, candidates) => {
+          unresolved.push({ sourcePath: docPath, link, reason, candidates });
         });
+        if (!document) {
+          linkProgress.tick();
+          return;
+        }
+
+        // Update the document with new content, unless a plugin skipped it
+        if (document.text !== null) {
+          await makeRequest('documents.update', {
+            id: docId,
+            title: document.title,
+            text: document.text
+          });
+        }
+
+        manifest.documents[docPath].linksUpdated = true;
+        manifest.unresolvedLinks = manifest.unresolvedLinks
+          .filter(entry => entry.sourcePath !== docPath)
+          .concat(unresolved);
+        await saveManifest(MANIFEST_PATH, manifest);
+        linkProgress.tick();
       } catch (error) {
-        timeStampLog(`Failed to update document ${docPath}: ${error.message}`);
+        timeStampLog(`Failed to update document ${docPath}: ${error.message}`, 'error');
+        runReport.failedDocuments.push({ sourcePath: docPath, error: error.message });
+        linkProgress.tick(true);
       }
+    });
+    runReport.phases.push(linkProgress.finish());
+
+    await archivePages();
+
+    manifest.phase = 'complete';
+    await flushManifest(MANIFEST_PATH, manifest);
+
+    reportUnresolvedLinks(manifest.unresolvedLinks);
+    runReport.unresolvedLinks = manifest.unresolvedLinks;
+
+    if (isSync) {
+      const { created, updated, moved, reordered, archived, restored } = syncStats;
+      timeStampLog(`Sync summary: ${created} created, ${updated} updated, ${moved} moved, ${reordered} reordered, ${archived} archived, ${restored} restored`);
     }
 
-    timeStampLog('Migration completed successfully!');
+    const pageKindSummary = formatPageKindStats(pageKindStats);
+    if (pageKindSummary) {
+      timeStampLog(`Page kinds: ${pageKindSummary}`);
+    }
   } catch (error) {
-    timeStampLog(`Migration failed: ${error.message}`);
+    timeStampLog(`Migration failed: ${error.message}`, 'error');
+    runReport.fatalError = error.message;
     throw error;
+  } finally {
+    // Keep what a failed phase got done for the next run to resume from
+    if (manifest) await flushManifest(MANIFEST_PATH, manifest, { changedOnly: true });
+    runReport.finishedAt = new Date().toISOString();
+    runReport.documents = { ...syncStats };
+    runReport.pageKinds = pageKindStats;
+    await writeFile(RUN_REPORT_PATH, formatRunReport(runReport, RUN_REPORT_PATH));
+    timeStampLog(`Migration report written to ${RUN_REPORT_PATH}`);
+  }
+
+  const failures = countFailures(runReport);
+  if (failures > 0) {
+    throw new Error(`Migration finished with ${failures} failures, see ${RUN_REPORT_PATH}`);
+  }
+  timeStampLog('Migration completed successfully!');
+}
+
+/**
+ * Creates the formatter for the user references of one document, from its
+ * header or its mentions: an Outline mention when the user is mapped, or
+ * plain text otherwise. Each mention's ID is derived from the document, the
+ * user and how often the user was mentioned before, so rendering the same
+ * page again, as verify does, gives the same text.
+ * @param {string} sourcePath - Path of the document relative to the backup root
+ * @returns {Function} Called with a Slite user ID, email or name and the text to use
+ *   when the user is not mapped; returns the markdown for the user
+ */
+function createUserReferenceFormatter(sourcePath) {
+  const occurrences = new Map();
+
+  return (reference, fallback = reference) => {
+    const user = findMappedUser(userMapping, reference);
+    if (!user) return fallback;
+
+    const occurrence = occurrences.get(user.outlineUserId) || 0;
+    occurrences.set(user.outlineUserId, occurrence + 1);
+    const hash = createHash('sha256').update(`${sourcePath}\0${user.outlineUserId}\0${occurrence}`).digest('hex');
+    const id = [hash.slice(0, 8), hash.slice(8, 12), hash.slice(12, 16), hash.slice(16, 20), hash.slice(20, 32)].join('-');
+    return `@[${user.outlineName || user.sliteName}](mention://${id}/user/${user.outlineUserId})`;
+  };
+}
+
+/**
+ * Matches the Slite users in the backup to Outline users and writes the
+ * result to USER_MAPPING_PATH. The file can be edited by hand; entries
+ * matched by email or by hand are kept on the next run.
+ * @returns {Promise<Object>} The user mapping
+ */
+async function mapUsers() {
+  const existing = await loadUserMapping(USER_MAPPING_PATH);
+  const sliteUsers = await readSliteUsers(backupSource, SLITE_USERS_PATH, SLITE_ORGANIZATION_PATH);
+
+  if (sliteUsers.length === 0) {
+    timeStampLog(`No Slite users found in ${SLITE_USERS_PATH}, skipping user mapping`);
+    return existing;
+  }
+
+  timeStampLog(`Mapping ${sliteUsers.length} Slite users to Outline users...`);
+  const outlineUsers = await listOutlineUsers();
+  if (!outlineUsers.some(user => user.email)) {
+    timeStampLog('Outline did not return user emails (an admin API key is needed), matching by name only');
+  }
+
+  const mapping = buildUserMapping(sliteUsers, outlineUsers, existing);
+  await saveUserMapping(USER_MAPPING_PATH, mapping);
+
+  const unmatched = Object.values(mapping.users).filter(user => !user.outlineUserId);
+  timeStampLog(`Mapped ${sliteUsers.length - unmatched.length}/${sliteUsers.length} users, mapping written to ${USER_MAPPING_PATH}`);
+  for (const user of unmatched) {
+    const reason = user.ambiguous ? ', several Outline users have this name' : '';
+    timeStampLog(`Unmatched Slite user: ${user.sliteName} <${user.sliteEmail || 'no email'}>${reason}`);
+  }
+
+  const matchedByName = Object.values(mapping.users).filter(user => user.matchedBy === 'name');
+  if (matchedByName.length > 0) {
+    timeStampLog(`${matchedByName.length} users were matched by name only. They are used for mentions, but not added to collections unless you set their matchedBy to "manual":`);
+    for (const user of matchedByName) {
+      timeStampLog(`  ${user.sliteName} <${user.sliteEmail || 'no email'}> -> ${user.outlineName}`);
+    }
   }
+
+  return mapping;
+}
+
+/**
+ * Adds the mapped authors of a channel's documents as members of its collection
+ * @param {string} collectionId - Collection ID
+ * @param {Array<Object>} nodes - Document tree of the channel
+ * @returns {Promise<void>}
+ */
+async function addCollectionAuthors(collectionId, nodes) {
+  const userIds = new Set();
+  for (const node of flattenTree(nodes)) {
+    const user = findMappedUser(userMapping, node.metadata?.author);
+    // Only users matched by email or by hand get access
+    if (user && isConfirmedMatch(user)) userIds.add(user.outlineUserId);
+  }
+
+  for (const userId of userIds) {
+    try {
+      await addCollectionUser(collectionId, userId);
+    } catch (error) {
+      timeStampLog(`Failed to add user ${userId} to collection ${collectionId}: ${error.message}`, 'error');
+      runReport.otherFailures.push({ step: 'Add collection member', item: `user ${userId} to collection ${collectionId}`, error: error.message });
+    }
+  }
+}
+
+/**
+ * Lists the channel folders in the backup together with their collection
+ * settings from the collection config. Channels left out by --include or
+ * --exclude are marked as skipped.
+ * @returns {Promise<Array<Object>>} Channels with name, path and settings
+ */
+async function resolveChannels() {
+  const config = await loadCollectionConfig(COLLECTION_CONFIG_PATH);
+  const privateChannels = await readPrivateChannels(backupSource, SLITE_ORGANIZATION_PATH);
+  const entries = await backupSource.readdir(SLITE_BACKUP_PATH);
+
+  return entries
+    .filter(entry => entry.isDirectory())
+    .map(entry => {
+      const settings = resolveChannelConfig(config, entry.name, privateChannels.has(entry.name));
+      if (!isChannelSelected(entry.name, cli.options.include, cli.options.exclude)) {
+        settings.skip = true;
+      }
+
+      return {
+        name: entry.name,
+        path: join(SLITE_BACKUP_PATH, entry.name),
+        settings
+      };
+    });
+}
+
+// Cached result of the documents.info lookup of PARENT_DOCUMENT
+let parentDocument;
+
+/**
+ * Looks up the document given with --parent
+ * @returns {Promise<Object>} Outline document
+ */
+async function getParentDocument() {
+  if (!parentDocument) {
+    parentDocument = makeRequest('documents.info', { id: parseDocumentReference(PARENT_DOCUMENT) })
+      .then(response => response.data);
+  }
+  return parentDocument;
+}
+
+/**
+ * Wraps a channel's document tree in a document for the channel itself, for
+ * when channels are nested under a parent document instead of becoming collections
+ * @param {Object} channel - Channel from resolveChannels
+ * @param {Array<Object>} nodes - Document tree of the channel
+ * @returns {Object} Channel tree node
+ */
+function buildChannelNode(channel, nodes) {
+  return {
+    type: 'folder',
+    kind: 'page',
+    title: channel.settings.name,
+    content: channel.settings.description || '',
+    metadata: null,
+    hash: hashContent(channel.settings.description || ''),
+    path: channel.path,
+    relativePath: channel.name,
+    aliases: [],
+    children: nodes
+  };
+}
+
+/**
+ * Scans the given channels for links, like scanDirectory does for one directory
+ * @param {Array<Object>} channels - Channels from resolveChannels
+ * @returns {Promise<Object>} Object containing all found links
+ */
+async function scanChannels(channels) {
+  const allAttachmentLinks = new Map();
+  const allDocumentLinks = new Map();
+
+  for (const channel of channels) {
+    const { attachmentLinks, documentLinks } = await scanDirectory(channel.path);
+    attachmentLinks.forEach((entry, attachmentPath) => {
+      if (!allAttachmentLinks.has(attachmentPath)) allAttachmentLinks.set(attachmentPath, entry);
+    });
+    documentLinks.forEach((sourcePath, link) => allDocumentLinks.set(link, sourcePath));
+  }
+
+  return { attachmentLinks: allAttachmentLinks, documentLinks: allDocumentLinks };
+}
+
+/**
+ * Gets the collection a channel is migrated into: the one recorded by a
+ * previous run, an existing collection it is merged into, or a new one
+ * @param {Object} channel - Channel from resolveChannels
+ * @returns {Promise<Object>} Collection record with id, name and created flag
+ */
+async function getChannelCollection(channel) {
+  const recorded = manifest.collections[channel.name];
+  if (recorded) {
+    timeStampLog(`Reusing collection: ${recorded.name}`);
+    return recorded;
+  }
+
+  let collection;
+  if (PARENT_DOCUMENT) {
+    const parent = await getParentDocument();
+    timeStampLog(`Nesting channel ${channel.name} under document: ${parent.title}`);
+    collection = { id: parent.collectionId, name: parent.title, created: false, parentDocumentId: parent.id };
+  } else if (channel.settings.mergeInto) {
+    const target = channel.settings.mergeInto.toLowerCase();
+    const existing = (await listCollections()).find(c => c.name.toLowerCase() === target);
+    if (!existing) {
+      throw new Error(`Collection "${channel.settings.mergeInto}" to merge channel ${channel.name} into was not found`);
+    }
+
+    timeStampLog(`Merging channel ${channel.name} into existing collection: ${existing.name}`);
+    collection = { id: existing.id, name: existing.name, created: false };
+  } else {
+    const created = await createCollection(channel.settings);
+    collection = { id: created.id, name: created.name, created: true };
+  }
+
+  // Written straight away, as a lost collection record means a duplicate collection
+  manifest.collections[channel.name] = collection;
+  await flushManifest(MANIFEST_PATH, manifest);
+  return collection;
+}
+
+/**
+ * Flattens a document tree into a list of nodes, depth first
+ * @param {Array<Object>} nodes - Document tree nodes
+ * @returns {Array<Object>} All nodes in the tree
+ */
+function flattenTree(nodes) {
+  return nodes.flatMap(node => [node, ...flattenTree(node.children || [])]);
+}
+
+/**
+ * Strips document content from a tree so it can be written to the plan
+ * @param {Array<Object>} nodes - Document tree nodes
+ * @returns {Array<Object>} Tree without content
+ */
+function summarizeTree(nodes) {
+  return nodes.map(({ type, kind, title, relativePath, children }) => ({
+    type,
+    kind,
+    title,
+    relativePath,
+    ...(children && { children: summarizeTree(children) })
+  }));
+}
+
+/**
+ * Builds a migration plan by walking the backup with the same logic as the
+ * migration itself, without making any API calls. The plan is printed and
+ * written to PLAN_PATH.
+ * @returns {Promise<Object>} The plan
+ */
+async function plan() {
+  timeStampLog('Building migration plan (no changes will be made in Outline)...');
+
+  // Phase 1: Collections and document tree
+  const allChannels = await resolveChannels();
+  const channels = allChannels.filter(channel => !channel.settings.skip);
+  const collections = [];
+  const plannedDocumentUrls = new Map();
+  const plannedSliteIds = new Map();
+  const plannedCollections = new Map(); // document path -> collection it will be in
+
+  for (const channel of channels) {
+    const channelNodes = await buildDocumentTree(channel.path);
+    const nodes = PARENT_DOCUMENT ? [buildChannelNode(channel, channelNodes)] : channelNodes;
+    collections.push({ channel: channel.name, settings: channel.settings, nodes });
+    const collection = PARENT_DOCUMENT || (channel.settings.mergeInto || channel.settings.name).toLowerCase();
+    for (const node of flattenTree(nodes)) {
+      plannedDocumentUrls.set(node.relativePath, `/doc/<${node.relativePath}>`);
+      plannedCollections.set(node.relativePath, collection);
+      for (const alias of node.aliases) {
+        plannedDocumentUrls.set(alias, `/doc/<${node.relativePath}>`);
+      }
+
+      const sliteId = getSliteDocId(node.metadata);
+      if (sliteId) plannedSliteIds.set(sliteId, node.relativePath);
+    }
+  }
+
+  // Phase 2: Attachments
+  const { attachmentLinks } = await scanChannels(channels);
+  const attachments = [];
+  const plannedAttachmentUrls = new Map();
+
+  const plannedHashes = new Set();
+
+  for (const [attachmentPath, { link, sourcePath }] of attachmentLinks.entries()) {
+    const relativeSourcePath = relative(SLITE_BACKUP_PATH, sourcePath);
+    const resolvedPath = resolveAttachmentPath(link, sourcePath);
+    const file = await inspectFile(resolvedPath, backupSource.createReadStream);
+    const hasDocument = plannedDocumentUrls.has(relativeSourcePath);
+    const tooLarge = file !== null && file.size > ATTACHMENT_MAX_SIZE;
+    const uploaded = file !== null && hasDocument && !tooLarge;
+
+    attachments.push({
+      link,
+      sourcePath: relativeSourcePath,
+      resolvedPath,
+      size: file?.size ?? null,
+      mimeType: file?.mimeType ?? null,
+      exists: file !== null,
+      hasDocument,
+      tooLarge,
+      duplicate: uploaded && plannedHashes.has(`${plannedCollections.get(relativeSourcePath)}:${file.hash}`)
+    });
+
+    if (uploaded) {
+      plannedAttachmentUrls.set(attachmentPath, `<attachment:${attachmentPath}>`);
+      plannedHashes.add(`${plannedCollections.get(relativeSourcePath)}:${file.hash}`);
+    }
+  }
+
+  // Phase 3: Links that cannot be rewritten
+  const unresolvedLinks = [];
+  for (const collection of collections) {
+    for (const node of flattenTree(collection.nodes)) {
+      if (node.type !== 'document') {
+        continue;
+      }
+
+      updateMarkdownLinks(node.content, node.relativePath, {
+        documentUrls: plannedDocumentUrls,
+        attachmentUrls: plannedAttachmentUrls,
+        sliteIds: plannedSliteIds,
+        onUnresolved: (link, reason, candidates) => {
+          unresolvedLinks.push({ sourcePath: node.relativePath, link, reason, candidates });
+        }
+      });
+    }
+  }
+
+  const result = {
+    createdAt: new Date().toISOString(),
+    source: SLITE_BACKUP_PATH,
+    collections: collections.map(({ channel, settings, nodes }) => ({
+      channel,
+      name: settings.mergeInto || settings.name,
+      mergeInto: settings.mergeInto,
+      parent: PARENT_DOCUMENT,
+      permission: settings.permission,
+      sharing: settings.sharing,
+      documentCount: flattenTree(nodes).length,
+      documents: summarizeTree(nodes)
+    })),
+    skippedChannels: allChannels
+      .filter(channel => channel.settings.skip)
+      .map(channel => channel.name),
+    attachments,
+    maxAttachmentSize: ATTACHMENT_MAX_SIZE,
+    missingAttachments: attachments.filter(attachment => !attachment.exists),
+    unresolvedLinks
+  };
+
+  await writeFile(PLAN_PATH, JSON.stringify(result, null, 2));
+  console.log(formatPlan(result));
+  timeStampLog(`Plan written to ${PLAN_PATH}`);
+
+  return result;
+}
+
+/**
+ * Gives each node of a document tree a path in the export archive, using the
+ * layout of Outline's Markdown import: a page is a `.md` file, and its
+ * sub-pages go in a folder with the same name next to it
+ * @param {Array<Object>} nodes - Document tree nodes
+ * @param {string} folder - Archive folder the nodes go in
+ * @param {Function} claimPath - Allocator from createArchivePathAllocator
+ * @param {Map<string, string>} archivePaths - Filled with archive paths keyed by node path and alias
+ */
+function assignArchivePaths(nodes, folder, claimPath, archivePaths) {
+  for (const node of nodes) {
+    const basePath = claimPath(folder, toArchiveName(node.title));
+    archivePaths.set(node.relativePath, `${basePath}.md`);
+    for (const alias of node.aliases) {
+      archivePaths.set(alias, `${basePath}.md`);
+    }
+
+    if (node.children) {
+      assignArchivePaths(node.children, basePath, claimPath, archivePaths);
+    }
+  }
+}
+
+/**
+ * Exports the backup to a ZIP archive that Outline's Markdown import accepts,
+ * for instances that cannot be reached from this machine. The document tree,
+ * link rewriting and attachment resolution are the same as for the migration,
+ * but links point at files inside the archive instead of Outline URLs. No API
+ * calls are made.
+ * @returns {Promise<Object>} Index of the archive contents, also written to EXPORT_INDEX_PATH
+ */
+async function exportArchive() {
+  if (PARENT_DOCUMENT) {
+    throw new Error('--parent needs a reachable Outline instance and cannot be used with export');
+  }
+
+  timeStampLog(`Exporting to ${EXPORT_PATH} (no changes will be made in Outline)...`);
+  // Mentions can only use a mapping made earlier with map-users
+  userMapping = await loadUserMapping(USER_MAPPING_PATH);
+
+  // Phase 1: Collections and document tree, laid out as folders and files
+  const allChannels = await resolveChannels();
+  const channels = allChannels.filter(channel => !channel.settings.skip);
+  const claimPath = createArchivePathAllocator();
+  const collectionFolders = new Map(); // collection name (lowercase) -> archive folder
+  const archivePaths = new Map();      // document path or alias -> archive path
+  const archiveSliteIds = new Map();
+  const collections = [];
+
+  for (const channel of channels) {
+    // Channels merged into the same collection share its folder
+    const name = channel.settings.mergeInto || channel.settings.name;
+    if (!collectionFolders.has(name.toLowerCase())) {
+      const folder = claimPath('', toArchiveName(name));
+      collectionFolders.set(name.toLowerCase(), folder);
+      // Keep the attachment folder's name free of documents
+      claimPath(folder, 'uploads');
+    }
+
+    const folder = collectionFolders.get(name.toLowerCase());
+    const nodes = await buildDocumentTree(channel.path);
+    assignArchivePaths(nodes, folder, claimPath, archivePaths);
+    collections.push({ channel: channel.name, name, folder, nodes });
+
+    for (const node of flattenTree(nodes)) {
+      const sliteId = getSliteDocId(node.metadata);
+      if (sliteId) archiveSliteIds.set(sliteId, node.relativePath);
+    }
+  }
+
+  // Phase 2: Documents with their links rewritten, and the attachments they use
+  const zip = await createZipWriter(EXPORT_PATH);
+  const attachmentArchivePaths = new Map(); // attachment path -> archive path
+  const hashArchivePaths = new Map();       // collection folder and content hash -> archive path, to bundle each file once per collection
+  const missingAttachments = [];
+  const unresolvedLinks = [];
+  const documents = [];
+
+  try {
+    for (const collection of collections) {
+      for (const node of flattenTree(collection.nodes)) {
+        const archivePath = archivePaths.get(node.relativePath);
+        const context = { sourcePath: node.relativePath, metadata: node.metadata };
+        const document = await runHook(plugins, 'beforeCreateDocument', { title: node.title, content: node.content }, context);
+        if (!document) {
+          timeStampLog(`Skipped by plugin: ${node.relativePath}`);
+          continue;
+        }
+
+        let content = document.content;
+        if (node.type === 'document') {
+          for (const link of extractLinks(content)) {
+            const { path } = splitAnchor(link.url);
+            if (!path || isExternalUrl(path)) continue;
+            if (path.endsWith('.md') || findDocumentUrl(path, node.relativePath, archivePaths)) continue;
+
+            const attachmentPath = getAttachmentPath(path, node.relativePath);
+            if (attachmentArchivePaths.has(attachmentPath)) continue;
+
+            const fullPath = join(SLITE_BACKUP_PATH, attachmentPath);
+            const upload = await runHook(plugins, 'beforeUploadAttachment', { filePath: fullPath, name: basename(fullPath) }, context);
+            if (!upload) {
+              timeStampLog(`Attachment skipped by plugin: ${attachmentPath}`);
+              continue;
+            }
+
+            const data = await backupSource.readFile(upload.filePath).catch(() => null);
+            if (!data) {
+              timeStampLog(`File not found: ${upload.filePath}`);
+              missingAttachments.push({ sourcePath: node.relativePath, link: path, resolvedPath: upload.filePath });
+              continue;
+            }
+
+            // Identical files are bundled once per collection, like uploads
+            const hashKey = `${collection.folder}:${hashContent(data)}`;
+            if (!hashArchivePaths.has(hashKey)) {
+              const extension = upload.name.match(/\.[^./]+$/)?.[0] || '';
+              const archiveAttachmentPath = claimPath(`${collection.folder}/uploads`, toArchiveName(basename(upload.name, extension))) + extension;
+              await zip.add(archiveAttachmentPath, data);
+              hashArchivePaths.set(hashKey, archiveAttachmentPath);
+            }
+            attachmentArchivePaths.set(attachmentPath, hashArchivePaths.get(hashKey));
+          }
+
+          const updatedContent = await runHook(plugins, 'afterUpdateLinks', updateMarkdownLinks(content, node.relativePath, {
+            documentUrls: archivePaths,
+            attachmentUrls: attachmentArchivePaths,
+            sliteIds: archiveSliteIds,
+            formatUrl: url => relativeArchiveLink(archivePath, url),
+            onUnresolved: (link, reason, candidates) => {
+              unresolvedLinks.push({ sourcePath: node.relativePath, link, reason, candidates });
+            }
+          }), context);
+          // A plugin skipping the link update keeps the links as they were
+          content = updatedContent ?? content;
+        }
+
+        // The importer takes the title from the first heading
+        await zip.add(archivePath, [`# ${document.title}`, content].filter(Boolean).join('\n\n') + '\n');
+        documents.push({ sourcePath: node.relativePath, archivePath, title: document.title });
+      }
+    }
+  } finally {
+    await zip.close();
+  }
+
+  const index = {
+    createdAt: new Date().toISOString(),
+    source: SLITE_BACKUP_PATH,
+    archive: EXPORT_PATH,
+    collections: collections.map(({ channel, name, folder, nodes }) => ({
+      channel,
+      name,
+      folder,
+      documents: summarizeTree(nodes)
+    })),
+    skippedChannels: allChannels
+      .filter(channel => channel.settings.skip)
+      .map(channel => channel.name),
+    documents,
+    attachments: [...attachmentArchivePaths].map(([sourcePath, archivePath]) => ({ sourcePath, archivePath })),
+    missingAttachments,
+    unresolvedLinks
+  };
+  await writeFile(EXPORT_INDEX_PATH, JSON.stringify(index, null, 2));
+
+  reportUnresolvedLinks(unresolvedLinks, EXPORT_INDEX_PATH);
+  timeStampLog(`Exported ${documents.length} documents and ${hashArchivePaths.size} attachments in ${collectionFolders.size} collections to ${EXPORT_PATH}, index written to ${EXPORT_INDEX_PATH}`);
+
+  return index;
+}
+
+/**
+ * Asks the user a yes/no question on the terminal. Closing the input, e.g.
+ * with Ctrl+D, counts as no.
+ * @param {string} question - Question to ask
+ * @returns {Promise<boolean>} True if the user answered yes
+ */
+async function confirm(question) {
+  const readline = createInterface({ input: process.stdin, output: process.stdout });
+  const closed = new Promise(resolve => readline.once('close', () => resolve(null)));
+  try {
+    const answer = await Promise.race([readline.question(`${question} (yes/no) `), closed]);
+    return answer?.trim().toLowerCase() === 'yes';
+  } finally {
+    readline.close();
+  }
+}
+
+/**
+ * Gets the ID of a recorded attachment. Manifests written before attachment
+ * IDs were recorded only have the URL, which holds the ID as a query parameter.
+ * @param {Object} attachment - Manifest attachment record
+ * @returns {string|null} Attachment ID
+ */
+function getAttachmentId(attachment) {
+  return attachment.id || new URL(attachment.url, 'http://outline').searchParams.get('id');
+}
+
+/**
+ * Removes everything the run recorded in the manifest created, in reverse
+ * dependency order: attachments, then documents from the deepest up, then
+ * collections. Collections that existed before the run are left alone.
+ *
+ * With --archive, documents are archived instead of deleted and attachments
+ * and collections are kept. With --dry-run, only prints what would be done.
+ * Asks for confirmation unless --yes is passed, and refuses to run without
+ * a terminal to ask on.
+ * @returns {Promise<Object>} Summary with done, failed and kept counts
+ */
+async function rollback() {
+  const dryRun = cli.options['dry-run'];
+  const archive = cli.options.archive;
+  if (!dryRun) assertCredentials();
+
+  manifest = await loadManifest(MANIFEST_PATH);
+  const depth = relativePath => relativePath.split(sep).length;
+
+  // Identical files share one upload, so group their records by attachment ID
+  const attachmentGroups = new Map();
+  for (const [attachmentPath, attachment] of archive ? [] : Object.entries(manifest.attachments)) {
+    const id = getAttachmentId(attachment);
+    attachmentGroups.set(id, [...(attachmentGroups.get(id) || []), attachmentPath]);
+  }
+  const attachments = [...attachmentGroups];
+  const documents = Object.entries(manifest.documents)
+    .sort(([a], [b]) => depth(b) - depth(a));
+  const collections = Object.entries(manifest.collections)
+    .filter(([, collection]) => !archive && collection.created !== false);
+  const keptCollections = Object.values(manifest.collections)
+    .filter(collection => archive || collection.created === false);
+
+  const documentAction = archive ? 'archive' : 'delete';
+  timeStampLog(`Rollback of ${MANIFEST_PATH}${dryRun ? ' (dry run, no changes will be made)' : ''}:`);
+  timeStampLog(`  ${attachments.length} attachments to delete`);
+  timeStampLog(`  ${documents.length} documents to ${documentAction}`);
+  timeStampLog(`  ${collections.length} collections to delete: ${collections.map(([, c]) => c.name).join(', ') || 'none'}`);
+  timeStampLog(`  ${keptCollections.length} collections kept: ${keptCollections.map(c => c.name).join(', ') || 'none'}`);
+
+  if (dryRun) {
+    for (const [, paths] of attachments) timeStampLog(`Would delete attachment: ${paths.join(', ')}`);
+    for (const [relativePath] of documents) timeStampLog(`Would ${documentAction} document: ${relativePath}`);
+    for (const [, collection] of collections) timeStampLog(`Would delete collection: ${collection.name}`);
+    return { done: 0, failed: 0, kept: keptCollections.length };
+  }
+
+  if (attachments.length + documents.length + collections.length === 0) {
+    timeStampLog('Nothing to roll back');
+    return { done: 0, failed: 0, kept: keptCollections.length };
+  }
+
+  // Nobody can answer the question when the input is piped or redirected
+  if (!cli.options.yes && !process.stdin.isTTY) {
+    throw new Error('Rollback needs confirmation, but there is no terminal to ask on. Pass --yes to roll back without asking');
+  }
+
+  if (!cli.options.yes && !await confirm('This cannot be undone from this tool. Continue?')) {
+    timeStampLog('Rollback cancelled');
+    return { done: 0, failed: 0, kept: keptCollections.length };
+  }
+
+  const summary = { done: 0, failed: 0, kept: keptCollections.length };
+  const remove = async (label, endpoint, id, onRemoved) => {
+    try {
+      await makeRequest(endpoint, { id });
+      onRemoved();
+      summary.done++;
+      timeStampLog(`Removed ${label}`);
+    } catch (error) {
+      summary.failed++;
+      timeStampLog(`Failed to remove ${label}: ${error.message}`, 'error');
+    }
+  };
+
+  await mapConcurrent(attachments, CONCURRENCY, ([id, paths]) =>
+    remove(`attachment ${paths.join(', ')}`, 'attachments.delete', id, () => {
+      for (const attachmentPath of paths) delete manifest.attachments[attachmentPath];
+    })
+  );
+
+  // Children before their parents: one depth level at a time
+  for (const level of [...new Set(documents.map(([relativePath]) => depth(relativePath)))]) {
+    const documentsAtLevel = documents.filter(([relativePath]) => depth(relativePath) === level);
+    await mapConcurrent(documentsAtLevel, CONCURRENCY, ([relativePath, doc]) =>
+      remove(`document ${relativePath}`, `documents.${documentAction}`, doc.id, () => {
+        if (archive) {
+          doc.archived = true;
+        } else {
+          delete manifest.documents[relativePath];
+        }
+      })
+    );
+  }
+
+  for (const [channelName, collection] of collections) {
+    await remove(`collection ${collection.name}`, 'collections.delete', collection.id, () => {
+      delete manifest.collections[channelName];
+    });
+  }
+
+  // A manifest with nothing left in it starts the next run from scratch
+  if (Object.keys(manifest.documents).length === 0) {
+    manifest.phase = 'structure';
+    manifest.unresolvedLinks = [];
+    manifest.skippedDocuments = [];
+  }
+  await flushManifest(MANIFEST_PATH, manifest);
+
+  timeStampLog(`Rollback summary: ${summary.done} removed, ${summary.failed} failed, ${summary.kept} pre-existing collections kept`);
+  if (summary.failed > 0) {
+    throw new Error(`${summary.failed} items could not be removed, run the rollback again to retry them`);
+  }
+  return summary;
+}
+
+/**
+ * Checks that an attachment URL resolves to its file. Outline answers with a
+ * redirect to the file in storage, which is followed for its first byte only.
+ * @param {string} url - Attachment URL recorded in the manifest
+ * @returns {Promise<void>}
+ * @throws {HttpError} If the attachment or its file cannot be fetched
+ */
+async function checkAttachmentUrl(url) {
+  const target = new URL(url, OUTLINE_DOMAIN);
+  const headers = target.origin === new URL(OUTLINE_DOMAIN).origin ? { 'Authorization': `Bearer ${API_KEY}` } : {};
+
+  return scheduler.run(async () => {
+    let response = await fetch(target, { headers, redirect: 'manual' });
+    const location = response.headers.get('location');
+    if (response.status >= 300 && response.status < 400 && location) {
+      await response.body?.cancel();
+      response = await fetch(new URL(location, target), { headers: { 'Range': 'bytes=0-0' } });
+    }
+
+    await throwForStatus(response, `Attachment ${url} did not resolve`);
+    await response.body?.cancel();
+  });
+}
+
+/**
+ * Counts the documents of a collection in Outline
+ * @param {string} collectionId - Collection ID
+ * @returns {Promise<number>} Number of documents in the collection's tree
+ */
+async function countCollectionDocuments(collectionId) {
+  const response = await makeRequest('collections.documents', { id: collectionId });
+  const count = nodes => nodes.reduce((sum, node) => sum + 1 + count(node.children || []), 0);
+  return count(response.data);
+}
+
+/**
+ * Verifies a finished migration against Outline, using the run manifest:
+ * every recorded document is fetched and compared with what the migration
+ * wrote, its content is checked for links still pointing at the backup, every
+ * attachment URL is resolved, and the documents of each channel are counted.
+ * The report is written to VERIFY_REPORT_PATH and summarised on the terminal.
+ * @returns {Promise<Object>} The report
+ * @throws {Error} If any problem was found
+ */
+async function verify() {
+  assertCredentials();
+  timeStampLog(`Verifying the migration recorded in ${MANIFEST_PATH}...`);
+
+  manifest = await loadManifest(MANIFEST_PATH);
+  if (Object.keys(manifest.documents).length === 0) {
+    throw new Error(`No migrated documents recorded in ${MANIFEST_PATH}, pass the manifest of the run with --manifest`);
+  }
+  if (manifest.phase !== 'complete') {
+    timeStampLog(`The run recorded in ${MANIFEST_PATH} did not complete (phase: ${manifest.phase}), documents may differ`);
+  }
+  hydrateFromManifest(manifest);
+  userMapping = await loadUserMapping(USER_MAPPING_PATH);
+
+  // Documents, compared with the title and text the migration wrote
+  // Documents archived as removed from the backup are left out, pages archived in Slite are not
+  const records = Object.entries(manifest.documents)
+    .filter(([, record]) => !record.archived || record.kind === 'archived');
+  const documents = await mapConcurrent(records, CONCURRENCY, async ([sourcePath, record]) => {
+    const result = { sourcePath, id: record.id, found: false, problems: [] };
+    const problem = (type, detail) => result.problems.push({ type, detail });
+
+    let found;
+    try {
+      found = (await makeRequest('documents.info', { id: record.id })).data;
+      result.found = true;
+    } catch (error) {
+      problem('missing', error.message);
+      return result;
+    }
+
+    const expectArchived = record.kind === 'archived';
+    if (found.deletedAt) {
+      problem('archived', 'the document was deleted in Outline');
+    } else if (Boolean(found.archivedAt) !== expectArchived) {
+      problem('archived', expectArchived ? 'the page is archived in Slite but not in Outline' : 'the document was archived in Outline');
+    }
+    if (record.kind === 'draft' && found.publishedAt) {
+      problem('published', 'the page is a draft in Slite but was published in Outline');
+    }
+
+    // Folder documents have no page in the backup to compare with
+    if (sourcePath.endsWith('.md')) {
+      try {
+        const expected = await renderDocument(sourcePath, record.id);
+        if (expected && expected.title.trim() !== found.title.trim()) {
+          problem('title', `expected ${JSON.stringify(expected.title)}, found ${JSON.stringify(found.title)}`);
+        }
+        const difference = expected?.text != null && compareMarkdown(expected.text, found.text || '');
+        if (difference) {
+          problem('content', difference);
+        }
+      } catch (error) {
+        problem('source', `could not read the page in the backup: ${error.message}`);
+      }
+    }
+
+    for (const link of findLocalLinks(found.text || '')) {
+      const unresolved = manifest.unresolvedLinks.find(entry => entry.sourcePath === sourcePath && entry.link === link);
+      problem('local-link', unresolved
+        ? `${link} (not resolved by the migration: ${describeUnresolvedLink(unresolved.reason, unresolved.candidates)})`
+        : link);
+    }
+
+    timeStampLog(`Checked ${sourcePath}${result.problems.length > 0 ? `: ${result.problems.length} problems` : ''}`, 'debug');
+    return result;
+  });
+
+  // Document counts per channel, against the source tree
+  const foundPaths = new Set(documents.filter(document => document.found).map(document => document.sourcePath));
+  const skippedPaths = new Set(manifest.skippedDocuments);
+  const collections = [];
+  for (const channel of await resolveChannels()) {
+    if (channel.settings.skip) {
+      continue;
+    }
+
+    const recorded = manifest.collections[channel.name];
+    const nodes = await buildDocumentTree(channel.path);
+    // Pages a plugin skipped have no document, and a channel nested under
+    // --parent has a document of its own
+    const sourceNodes = flattenTree(nodes).filter(node => !skippedPaths.has(node.relativePath));
+    const skippedDocuments = flattenTree(nodes).length - sourceNodes.length;
+    const sourceDocuments = sourceNodes.length + (recorded?.parentDocumentId ? 1 : 0);
+    const recordedPaths = records
+      .map(([sourcePath]) => sourcePath)
+      .filter(sourcePath => sourcePath === channel.name || sourcePath.startsWith(channel.name + sep));
+    const foundDocuments = recordedPaths.filter(sourcePath => foundPaths.has(sourcePath)).length;
+
+    // Only collections the migration created hold nothing but the channel's
+    // documents, and only published documents that are not archived are listed
+    const outlineDocuments = recorded?.created ? await countCollectionDocuments(recorded.id) : null;
+    const listedDocuments = sourceNodes.filter(node => node.kind === 'page').length;
+
+    collections.push({
+      channel: channel.name,
+      name: recorded?.name ?? null,
+      collectionId: recorded?.id ?? null,
+      sourceDocuments,
+      skippedDocuments,
+      recordedDocuments: recordedPaths.length,
+      foundDocuments,
+      listedDocuments,
+      outlineDocuments,
+      ok: sourceDocuments === recordedPaths.length
+        && foundDocuments === recordedPaths.length
+        && (outlineDocuments === null || outlineDocuments === listedDocuments)
+    });
+  }
+
+  // Attachments, each uploaded file once however many links share it
+  const attachmentPathsByUrl = new Map();
+  for (const [attachmentPath, { url }] of Object.entries(manifest.attachments)) {
+    attachmentPathsByUrl.set(url, [...(attachmentPathsByUrl.get(url) || []), attachmentPath]);
+  }
+  const attachments = await mapConcurrent(attachmentPathsByUrl, CONCURRENCY, async ([url, attachmentPaths]) => {
+    try {
+      await checkAttachmentUrl(url);
+      return { url, attachmentPaths, ok: true };
+    } catch (error) {
+      return { url, attachmentPaths, ok: false, error: error.message };
+    }
+  });
+
+  const report = {
+    createdAt: new Date().toISOString(),
+    outline: OUTLINE_DOMAIN,
+    manifest: MANIFEST_PATH,
+    source: SLITE_BACKUP_PATH,
+    collections,
+    documents,
+    attachments,
+    problemCount: collections.filter(collection => !collection.ok).length
+      + documents.reduce((sum, document) => sum + document.problems.length, 0)
+      + attachments.filter(attachment => !attachment.ok).length
+  };
+
+  await writeFile(VERIFY_REPORT_PATH, JSON.stringify(report, null, 2));
+  console.log(formatVerifyReport(report));
+  timeStampLog(`Verification report written to ${VERIFY_REPORT_PATH}`);
+
+  if (report.problemCount > 0) {
+    throw new Error(`Verification found ${report.problemCount} problems, see ${VERIFY_REPORT_PATH}`);
+  }
+  return report;
+}
+
+/**
+ * Builds the user mapping file on its own, so it can be reviewed before migrating
+ * @returns {Promise<Object>} The user mapping
+ */
+async function mapUsersCommand() {
+  assertCredentials();
+  return mapUsers();
+}
+
+/**
+ * Runs the preflight checks of a migration on their own
+ * @returns {Promise<Array<Object>>} Channels from resolveChannels
+ */
+async function preflightCommand() {
+  assertCredentials();
+  manifest = await loadManifest(MANIFEST_PATH);
+  hydrateFromManifest(manifest);
+  return runPreflight();
 }
 
-// Run the migration
-migrate().catch(error => {
-  timeStampLog(`Fatal error: ${error.message}`);
+// Run the command given on the command line, the migration by default
+const commands = {
+  migrate,
+  plan,
+  preflight: preflightCommand,
+  'map-users': mapUsersCommand,
+  rollback,
+  verify,
+  export: exportArchive
+};
+commands[cli.command]().catch(error => {
+  timeStampLog(error.message, 'error');
   process.exit(1);
 });
@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createEmptyManifest, getPendingLinkUpdates, saveManifest, flushManifest } from '../utils/manifest.js';
+
+/**
+ * Builds the manifest a first run leaves behind, with one page of each case
+ * @returns {Object} Manifest data
+ */
+function createSyncedManifest() {
+  const manifest = createEmptyManifest();
+  manifest.documents = {
+    'Eng/Done.md': { id: 'done', linksUpdated: true, kind: 'page' },
+    'Eng/Broken.md': { id: 'broken', linksUpdated: true, kind: 'page' },
+    'Eng/Old.md': { id: 'old', linksUpdated: true, kind: 'archived', archived: true },
+    'Eng/Pending.md': { id: 'pending', linksUpdated: false, kind: 'page' }
+  };
+  manifest.unresolvedLinks = [
+    { sourcePath: 'Eng/Broken.md', link: 'Gone.md', reason: 'missing', candidates: [] },
+    { sourcePath: 'Eng/Old.md', link: 'Gone.md', reason: 'missing', candidates: [] }
+  ];
+  return manifest;
+}
+
+test('retries documents with unresolved links on a later sync', () => {
+  const manifest = createSyncedManifest();
+  const pending = getPendingLinkUpdates(manifest, Object.keys(manifest.documents));
+  assert.deepEqual(pending, ['Eng/Broken.md', 'Eng/Pending.md']);
+});
+
+test('leaves archived pages with unresolved links alone on every later sync', () => {
+  const manifest = createSyncedManifest();
+  const documentPaths = Object.keys(manifest.documents);
+  assert.ok(!getPendingLinkUpdates(manifest, documentPaths).includes('Eng/Old.md'));
+
+  // Another sync of the same backup, after the first one updated the rest
+  manifest.documents['Eng/Pending.md'].linksUpdated = true;
+  assert.deepEqual(getPendingLinkUpdates(manifest, documentPaths), ['Eng/Broken.md']);
+});
+
+test('updates an archived page again once a sync restores it', () => {
+  const manifest = createSyncedManifest();
+  manifest.documents['Eng/Old.md'].archived = false;
+  assert.ok(getPendingLinkUpdates(manifest, Object.keys(manifest.documents)).includes('Eng/Old.md'));
+});
+
+/**
+ * Reads the number of documents in the manifest file on disk
+ * @param {string} filePath - Path of the manifest file
+ * @returns {Promise<number|null>} Document count, or null if the file does not exist
+ */
+async function countSavedDocuments(filePath) {
+  const raw = await readFile(filePath, 'utf-8').catch(() => null);
+  return raw === null ? null : Object.keys(JSON.parse(raw).documents).length;
+}
+
+test('writes manifest changes in batches', async () => {
+  const directory = await mkdtemp(join(tmpdir(), 'manifest-'));
+  const filePath = join(directory, 'migration-manifest.json');
+  const manifest = createEmptyManifest();
+
+  try {
+    manifest.documents['Eng/1.md'] = { id: '1' };
+    await saveManifest(filePath, manifest);
+    assert.equal(await countSavedDocuments(filePath), null);
+
+    // A full batch is written straight away
+    for (let i = 2; i <= 50; i++) {
+      manifest.documents[`Eng/${i}.md`] = { id: String(i) };
+      await saveManifest(filePath, manifest);
+    }
+    assert.equal(await countSavedDocuments(filePath), 50);
+
+    // The rest of a batch is written after a moment
+    manifest.documents['Eng/51.md'] = { id: '51' };
+    await saveManifest(filePath, manifest);
+    assert.equal(await countSavedDocuments(filePath), 50);
+    await new Promise(resolve => setTimeout(resolve, 1200));
+    assert.equal(await countSavedDocuments(filePath), 51);
+
+    // Or straight away when flushed
+    manifest.documents['Eng/52.md'] = { id: '52' };
+    await saveManifest(filePath, manifest);
+    await flushManifest(filePath, manifest);
+    assert.equal(await countSavedDocuments(filePath), 52);
+  } finally {
+    await flushManifest(filePath, manifest, { changedOnly: true });
+    await rm(directory, { recursive: true, force: true });
+  }
+});
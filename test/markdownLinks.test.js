@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractLinks, rewriteLinks } from '../utils/markdownLinks.js';
+
+/**
+ * Lists the type, URL and title of each link in some markdown
+ * @param {string} markdown - Markdown content
+ * @returns {Array<Array>} Type, URL and title of each link
+ */
+function describeLinks(markdown) {
+  return extractLinks(markdown).map(link => [link.type, link.url, link.title]);
+}
+
+test('finds document links with spaces in their path', () => {
+  assert.deepEqual(describeLinks('See [Doc](My Doc.md) first.'), [['inline', 'My Doc.md', null]]);
+});
+
+test('finds images with spaces in their path', () => {
+  assert.deepEqual(describeLinks('![](media_X/my image.png)'), [['image', 'media_X/my image.png', null]]);
+});
+
+test('reads the title after a path with spaces', () => {
+  assert.deepEqual(describeLinks('[Doc](My Doc.md "The doc")'), [['inline', 'My Doc.md', 'The doc']]);
+});
+
+test('rewrites links with spaces in their path', () => {
+  const markdown = 'See [Doc](My Doc.md) and ![](media_X/my image.png).';
+  const rewritten = rewriteLinks(markdown, link => ({
+    'My Doc.md': '/doc/abc',
+    'media_X/my image.png': '/api/attachments.redirect?id=1'
+  })[link.url]);
+  assert.equal(rewritten, 'See [Doc](/doc/abc) and ![](/api/attachments.redirect?id=1).');
+});
+
+test('still reads valid destinations the CommonMark way', () => {
+  assert.deepEqual(describeLinks('[a](<My Doc.md> "t") [b](x_(1).md)'), [
+    ['inline', 'My Doc.md', 't'],
+    ['inline', 'x_(1).md', null]
+  ]);
+});
+
+test('does not read a destination across lines', () => {
+  assert.deepEqual(describeLinks('[a](not a\nlink)'), []);
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMetadataHeader } from '../utils/metadata.js';
+
+test('splits off a front matter header', () => {
+  const { metadata, body } = parseMetadataHeader('---\ntitle: Intro\nauthor: Jane Doe\n---\n\n# Intro\nbody');
+  assert.equal(metadata.title, 'Intro');
+  assert.equal(metadata.author, 'Jane Doe');
+  assert.equal(body, '# Intro\nbody');
+});
+
+test('splits off front matter made only of unknown fields', () => {
+  const { metadata, body } = parseMetadataHeader('---\nvisibility: team\nlabels_v2:\n  - a\n---\nbody');
+  assert.deepEqual(metadata.fields, { visibility: 'team', labels_v2: ['a'] });
+  assert.equal(body, 'body');
+});
+
+test('splits off an undelimited header with a known field', () => {
+  const { metadata, body } = parseMetadataHeader('title: Intro\nid: abc123\n\n# Intro\nbody');
+  assert.equal(metadata.id, 'abc123');
+  assert.equal(body, '# Intro\nbody');
+});
+
+test('keeps a document that starts with a thematic break', () => {
+  const content = '---\nIntro paragraph\n---\n\n# Title\nbody';
+  assert.deepEqual(parseMetadataHeader(content), { metadata: null, body: content });
+});
+
+test('keeps a thematic break followed by a paragraph with a colon', () => {
+  const content = '---\nNote: this page is out of date.\nAsk in #help before using it.\n---\nbody';
+  assert.deepEqual(parseMetadataHeader(content), { metadata: null, body: content });
+});
+
+test('keeps a document with a single leading thematic break', () => {
+  const content = '---\n\n# Title\nbody';
+  assert.deepEqual(parseMetadataHeader(content), { metadata: null, body: content });
+});
+
+test('keeps a document without a header', () => {
+  const content = '# Title\n\nSee: the docs';
+  assert.deepEqual(parseMetadataHeader(content), { metadata: null, body: content });
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createScheduler, isTransientError, HttpError } from '../utils/scheduler.js';
+
+/**
+ * Builds a request that fails with the given errors in turn, then succeeds
+ * @param {Array<Error>} errors - Errors thrown by the first attempts
+ * @returns {Function} Request, with the number of attempts made on its `attempts` property
+ */
+function failingRequest(errors) {
+  const request = async () => {
+    request.attempts++;
+    if (request.attempts <= errors.length) {
+      throw errors[request.attempts - 1];
+    }
+    return 'ok';
+  };
+  request.attempts = 0;
+  return request;
+}
+
+/**
+ * Builds the TypeError Node's fetch throws when a connection fails
+ * @param {string} code - Error code of the cause
+ * @returns {TypeError} Network error
+ */
+function networkError(code) {
+  const error = new TypeError('fetch failed');
+  error.cause = Object.assign(new Error(code), { code });
+  return error;
+}
+
+const scheduler = createScheduler({ baseDelay: 1 });
+
+test('retries network errors and transient statuses', async () => {
+  const request = failingRequest([networkError('ECONNRESET'), new HttpError('Bad gateway', 502)]);
+  assert.equal(await scheduler.run(request), 'ok');
+  assert.equal(request.attempts, 3);
+});
+
+test('does not retry errors that are not network errors', async () => {
+  for (const error of [new SyntaxError('Unexpected token < in JSON'), new TypeError('data.map is not a function')]) {
+    assert.equal(isTransientError(error), false);
+
+    const request = failingRequest([error]);
+    await assert.rejects(scheduler.run(request), error);
+    assert.equal(request.attempts, 1);
+  }
+});
+
+test('does not retry validation errors', async () => {
+  const request = failingRequest([new HttpError('Validation error', 400)]);
+  await assert.rejects(scheduler.run(request), HttpError);
+  assert.equal(request.attempts, 1);
+});
+
+test('retries a request that is not idempotent only after a 429', async () => {
+  const rateLimited = failingRequest([new HttpError('Too many requests', 429, 1)]);
+  assert.equal(await scheduler.run(rateLimited, { idempotent: false }), 'ok');
+  assert.equal(rateLimited.attempts, 2);
+
+  for (const error of [new HttpError('Server error', 500), networkError('UND_ERR_SOCKET')]) {
+    const request = failingRequest([error]);
+    await assert.rejects(scheduler.run(request, { idempotent: false }), error);
+    assert.equal(request.attempts, 1);
+  }
+});
+
+test('looks up the result of a failed request that is not idempotent before retrying it', async () => {
+  const request = failingRequest([new HttpError('Server error', 500)]);
+  const result = await scheduler.run(request, { idempotent: false, recover: async () => 'created' });
+  assert.equal(result, 'created');
+  assert.equal(request.attempts, 1);
+
+  const lost = failingRequest([new HttpError('Server error', 500)]);
+  assert.equal(await scheduler.run(lost, { idempotent: false, recover: async () => undefined }), 'ok');
+  assert.equal(lost.attempts, 2);
+});
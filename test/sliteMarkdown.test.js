@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { join } from 'node:path';
+import { convertSliteMarkdown } from '../utils/sliteMarkdown.js';
+import { findMappedUser } from '../utils/users.js';
+
+// Each `<name>.input.md` is converted and compared with `<name>.expected.md`
+const FIXTURES_PATH = fileURLToPath(new URL('./fixtures/sliteMarkdown', import.meta.url));
+
+// Slite users u1 and u2 are mapped to Outline users, u9 is not
+const userMapping = {
+  users: {
+    u1: { sliteName: 'Jane Doe', sliteEmail: 'jane@example.com', outlineUserId: 'outline-jane', outlineName: 'Jane Doe', matchedBy: 'email' },
+    u2: { sliteName: 'John Smith', sliteEmail: 'john@example.com', outlineUserId: 'outline-john', outlineName: 'John Smith', matchedBy: 'manual' },
+    u9: { sliteName: 'Alex Unknown', sliteEmail: null, outlineUserId: null, outlineName: null, matchedBy: null }
+  }
+};
+
+/**
+ * Formats mentions like the migration does, with a fixed mention ID
+ * @param {string} reference - User reference
+ * @param {string|null} fallback - Text to use when the user is not mapped
+ * @returns {string|null} Markdown for the user
+ */
+function formatUser(reference, fallback) {
+  const user = findMappedUser(userMapping, reference);
+  return user ? `@[${user.outlineName}](mention://mention-id/user/${user.outlineUserId})` : fallback;
+}
+
+const fixtures = readdirSync(FIXTURES_PATH)
+  .filter(name => name.endsWith('.input.md'))
+  .map(name => name.slice(0, -'.input.md'.length))
+  .sort();
+
+for (const fixture of fixtures) {
+  test(`converts ${fixture}`, () => {
+    const input = readFileSync(join(FIXTURES_PATH, `${fixture}.input.md`), 'utf-8');
+    const expected = readFileSync(join(FIXTURES_PATH, `${fixture}.expected.md`), 'utf-8');
+    assert.equal(convertSliteMarkdown(input, { formatUser }), expected);
+  });
+}
+
+test('leaves mentions as plain names without a user formatter', () => {
+  assert.equal(convertSliteMarkdown('Owner: [@Jane Doe](https://slite.com/app/users/u1)'), 'Owner: Jane Doe');
+});
@@ -0,0 +1,190 @@
+import { createReadStream } from 'node:fs';
+import { createHash } from 'node:crypto';
+import { extname } from 'node:path';
+
+// MIME types by file extension, for files whose content does not give them away
+const MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.bmp': 'image/bmp',
+  '.tif': 'image/tiff',
+  '.tiff': 'image/tiff',
+  '.ico': 'image/x-icon',
+  '.heic': 'image/heic',
+  '.avif': 'image/avif',
+  '.mp4': 'video/mp4',
+  '.m4v': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.webm': 'video/webm',
+  '.avi': 'video/x-msvideo',
+  '.mp3': 'audio/mpeg',
+  '.m4a': 'audio/mp4',
+  '.wav': 'audio/wav',
+  '.ogg': 'audio/ogg',
+  '.pdf': 'application/pdf',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.ppt': 'application/vnd.ms-powerpoint',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.odt': 'application/vnd.oasis.opendocument.text',
+  '.ods': 'application/vnd.oasis.opendocument.spreadsheet',
+  '.odp': 'application/vnd.oasis.opendocument.presentation',
+  '.rtf': 'application/rtf',
+  '.txt': 'text/plain',
+  '.csv': 'text/csv',
+  '.json': 'application/json',
+  '.xml': 'application/xml',
+  '.html': 'text/html',
+  '.zip': 'application/zip',
+  '.gz': 'application/gzip',
+  '.tar': 'application/x-tar',
+  '.7z': 'application/x-7z-compressed',
+  '.rar': 'application/vnd.rar'
+};
+
+// File signatures: bytes expected at an offset, and the type they identify
+const SIGNATURES = [
+  { offset: 0, bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a], type: 'image/png' },
+  { offset: 0, bytes: [0xff, 0xd8, 0xff], type: 'image/jpeg' },
+  { offset: 0, bytes: [0x47, 0x49, 0x46, 0x38], type: 'image/gif' },
+  { offset: 8, bytes: [0x57, 0x45, 0x42, 0x50], type: 'image/webp', riff: true },
+  { offset: 8, bytes: [0x57, 0x41, 0x56, 0x45], type: 'audio/wav', riff: true },
+  { offset: 8, bytes: [0x41, 0x56, 0x49, 0x20], type: 'video/x-msvideo', riff: true },
+  { offset: 0, bytes: [0x49, 0x49, 0x2a, 0x00], type: 'image/tiff' },
+  { offset: 0, bytes: [0x4d, 0x4d, 0x00, 0x2a], type: 'image/tiff' },
+  { offset: 0, bytes: [0x25, 0x50, 0x44, 0x46, 0x2d], type: 'application/pdf' },
+  { offset: 0, bytes: [0x1a, 0x45, 0xdf, 0xa3], type: 'video/webm' },
+  { offset: 0, bytes: [0x49, 0x44, 0x33], type: 'audio/mpeg' },
+  { offset: 0, bytes: [0x4f, 0x67, 0x67, 0x53], type: 'audio/ogg' },
+  { offset: 0, bytes: [0x1f, 0x8b], type: 'application/gzip' },
+  { offset: 0, bytes: [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c], type: 'application/x-7z-compressed' },
+  { offset: 0, bytes: [0x52, 0x61, 0x72, 0x21, 0x1a, 0x07], type: 'application/vnd.rar' },
+  { offset: 0, bytes: [0x50, 0x4b, 0x03, 0x04], type: 'application/zip' },
+  // Old Office formats (doc, xls, ppt) share the OLE container
+  { offset: 0, bytes: [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1], type: 'application/x-ole-storage' }
+];
+
+// RIFF containers only differ in the bytes at offset 8
+const RIFF = [0x52, 0x49, 0x46, 0x46];
+
+// Bytes read from the start of a file to detect its type
+const SNIFF_LENGTH = 512;
+
+/**
+ * Whether a buffer holds the given bytes at an offset
+ * @param {Buffer} header - Start of the file
+ * @param {number} offset - Offset to compare at
+ * @param {Array<number>} bytes - Expected bytes
+ * @returns {boolean} True if the bytes match
+ */
+function hasBytes(header, offset, bytes) {
+  return bytes.every((byte, i) => header[offset + i] === byte);
+}
+
+/**
+ * Detects a file type from the first bytes of its content
+ * @param {Buffer} header - Start of the file
+ * @returns {string|null} MIME type, or null if the content is not recognised
+ */
+export function sniffMimeType(header) {
+  for (const { offset, bytes, type, riff } of SIGNATURES) {
+    if ((!riff || hasBytes(header, 0, RIFF)) && hasBytes(header, offset, bytes)) {
+      return type;
+    }
+  }
+
+  // MP4 and QuickTime files have an `ftyp` box first
+  if (hasBytes(header, 4, [0x66, 0x74, 0x79, 0x70])) {
+    const brand = header.toString('latin1', 8, 12);
+    if (brand === 'qt  ') return 'video/quicktime';
+    if (brand.startsWith('M4A')) return 'audio/mp4';
+    if (brand.startsWith('heic') || brand.startsWith('heix')) return 'image/heic';
+    if (brand.startsWith('avif')) return 'image/avif';
+    return 'video/mp4';
+  }
+
+  const text = header.toString('utf-8').replace(/^\uFEFF/, '').trimStart();
+  if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE svg[^>]*>\s*)?<svg[\s>]/i.test(text)) {
+    return 'image/svg+xml';
+  }
+
+  return null;
+}
+
+/**
+ * Gets the MIME type for a file name from its extension
+ * @param {string} fileName - File name or path
+ * @returns {string|null} MIME type, or null for unknown extensions
+ */
+export function getMimeTypeByExtension(fileName) {
+  return MIME_TYPES[extname(fileName).toLowerCase()] || null;
+}
+
+/**
+ * Works out the MIME type of a file from its content, falling back to its
+ * extension. Containers such as ZIP (which DOCX, XLSX and PPTX files are) and
+ * OLE only narrow the type down, so the extension decides within them.
+ * @param {Buffer} header - Start of the file
+ * @param {string} fileName - File name or path
+ * @returns {string} MIME type, application/octet-stream if unknown
+ */
+export function detectMimeType(header, fileName) {
+  const sniffed = sniffMimeType(header);
+  const byExtension = getMimeTypeByExtension(fileName);
+
+  if (sniffed === 'application/zip' && byExtension?.startsWith('application/vnd.')) {
+    return byExtension;
+  }
+  if (sniffed === 'application/x-ole-storage') {
+    return byExtension || 'application/octet-stream';
+  }
+
+  return sniffed || byExtension || 'application/octet-stream';
+}
+
+/**
+ * Whether a file name has the extension of a file that is attached to
+ * documents rather than migrated as a document itself
+ * @param {string} fileName - File name
+ * @returns {boolean} True for known attachment types
+ */
+export function isAttachmentFileName(fileName) {
+  return getMimeTypeByExtension(fileName) !== null;
+}
+
+/**
+ * Reads a file once as a stream to get its size, a SHA-256 hash of its
+ * content for deduplication, and its MIME type
+ * @param {string} filePath - Path of the file
+ * @param {Function} [openStream] - Opens the file as a stream, e.g. from a backup source
+ * @returns {Promise<Object|null>} Size, hash and mimeType, or null if the file does not exist
+ */
+export async function inspectFile(filePath, openStream = createReadStream) {
+  const hash = createHash('sha256');
+  const headerChunks = [];
+  let headerLength = 0;
+  let size = 0;
+
+  try {
+    for await (const chunk of openStream(filePath)) {
+      hash.update(chunk);
+      size += chunk.length;
+      if (headerLength < SNIFF_LENGTH) {
+        headerChunks.push(chunk);
+        headerLength += chunk.length;
+      }
+    }
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'EISDIR') return null;
+    throw error;
+  }
+
+  const header = Buffer.concat(headerChunks).subarray(0, SNIFF_LENGTH);
+  return { size, hash: hash.digest('hex'), mimeType: detectMimeType(header, filePath) };
+}
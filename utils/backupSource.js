@@ -0,0 +1,175 @@
+import * as fs from 'node:fs';
+import { readdir, readFile, stat } from 'node:fs/promises';
+import { join, resolve, dirname, basename, relative, sep } from 'node:path';
+import { openZipReader } from './zip.js';
+import { openFileBlob } from './runtime.js';
+
+// Folders archivers add next to the content, such as macOS resource forks
+const IGNORED_ZIP_FOLDERS = ['__MACOSX'];
+
+// Files on disk, for an extracted backup and for files outside a backup ZIP
+const folderSource = {
+  readdir: dirPath => readdir(dirPath, { withFileTypes: true }),
+  readFile: (filePath, encoding) => readFile(filePath, encoding),
+  stat: filePath => stat(filePath),
+  createReadStream: filePath => fs.createReadStream(filePath),
+  openBlob: (filePath, type) => openFileBlob(filePath, type)
+};
+
+/**
+ * Creates the error node:fs gives for a missing file, so callers can handle
+ * both sources alike
+ * @param {string} path - Path that was not found
+ * @returns {Error} Error with code ENOENT
+ */
+function notFoundError(path) {
+  const error = new Error(`ENOENT: no such file or directory, '${path}'`);
+  error.code = 'ENOENT';
+  return error;
+}
+
+/**
+ * Describes an archive entry like the fs.Dirent and fs.Stats objects of a file on disk
+ * @param {string} name - Entry name
+ * @param {boolean} directory - Whether the entry is a folder
+ * @param {number} [size] - Uncompressed size
+ * @returns {Object} Entry with name, size, isFile and isDirectory
+ */
+function describeEntry(name, directory, size = 0) {
+  return { name, size, isFile: () => !directory, isDirectory: () => directory };
+}
+
+/**
+ * Opens an extracted backup. The path may point at the backup folder or at
+ * its channels folder.
+ * @param {string} sourcePath - Folder path
+ * @returns {Promise<Object>} Backup source
+ */
+async function openFolderSource(sourcePath) {
+  const channelsPath = join(sourcePath, 'channels');
+  const isBackupRoot = await stat(channelsPath).then(stats => stats.isDirectory(), () => false);
+  return { ...folderSource, channelsPath: isBackupRoot ? channelsPath : sourcePath };
+}
+
+/**
+ * Opens a backup ZIP as downloaded from Slite, without extracting it. The
+ * archive appears as a folder at its own path, e.g. `backup.zip/channels/Eng`,
+ * and the shallowest `channels` folder inside it is the channels folder, at
+ * whatever depth the archive puts it. Paths outside the archive are read
+ * from disk, so files a plugin substitutes still work.
+ * @param {string} zipPath - Archive path
+ * @returns {Promise<Object>} Backup source
+ */
+async function openZipSource(zipPath) {
+  const zip = await openZipReader(zipPath);
+  const root = resolve(zipPath);
+  const files = new Map(); // full path -> archive entry
+  const folders = new Map([[root, new Map()]]); // full path -> child name -> whether it is a folder
+
+  // Adds a path to its folder, and its parent folders up to the root, since
+  // archives need not have entries for folders
+  const register = (path, directory) => {
+    for (let current = path, isFolder = directory; current !== root; current = dirname(current), isFolder = true) {
+      if (isFolder && !folders.has(current)) folders.set(current, new Map());
+
+      const parent = dirname(current);
+      if (!folders.has(parent)) folders.set(parent, new Map());
+      if (folders.get(parent).has(basename(current))) return;
+      folders.get(parent).set(basename(current), isFolder);
+    }
+  };
+
+  for (const entry of zip.entries) {
+    // Some Windows archivers write backslashes
+    const segments = entry.name.replace(/\\/g, '/').split('/').filter(Boolean);
+    if (segments.length === 0 || IGNORED_ZIP_FOLDERS.includes(segments[0])) continue;
+
+    const path = join(root, ...segments);
+    if (!path.startsWith(root + sep)) continue;
+
+    if (!entry.directory) files.set(path, entry);
+    register(path, entry.directory);
+  }
+
+  const depth = path => relative(root, path).split(sep).length;
+  const channelsPath = [...folders.keys()]
+    .filter(path => basename(path) === 'channels')
+    .sort((a, b) => depth(a) - depth(b))[0];
+  if (!channelsPath) {
+    throw new Error(`No channels folder found in ${zipPath}. Pass the backup ZIP as downloaded from Slite, or an extracted backup folder`);
+  }
+
+  const isInside = path => path === root || path.startsWith(root + sep);
+
+  /**
+   * Streams a file's content
+   * @param {string} filePath - File path
+   * @returns {Readable} File content
+   */
+  function createReadStream(filePath) {
+    const path = resolve(filePath);
+    if (!isInside(path)) return folderSource.createReadStream(filePath);
+    if (!files.has(path)) throw notFoundError(filePath);
+    return zip.createReadStream(files.get(path));
+  }
+
+  /**
+   * Reads a whole file
+   * @param {string} filePath - File path
+   * @param {string} [encoding] - Encoding to decode the content with
+   * @returns {Promise<Buffer|string>} File content
+   */
+  async function readEntry(filePath, encoding) {
+    if (!isInside(resolve(filePath))) return folderSource.readFile(filePath, encoding);
+
+    const chunks = [];
+    for await (const chunk of createReadStream(filePath)) {
+      chunks.push(chunk);
+    }
+    const content = Buffer.concat(chunks);
+    return encoding ? content.toString(encoding) : content;
+  }
+
+  return {
+    channelsPath,
+    createReadStream,
+    readFile: readEntry,
+
+    async readdir(dirPath) {
+      const path = resolve(dirPath);
+      if (!isInside(path)) return folderSource.readdir(dirPath);
+      if (!folders.has(path)) throw notFoundError(dirPath);
+
+      return [...folders.get(path)]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([name, directory]) => describeEntry(name, directory));
+    },
+
+    async stat(filePath) {
+      const path = resolve(filePath);
+      if (!isInside(path)) return folderSource.stat(filePath);
+      if (files.has(path)) return describeEntry(basename(path), false, files.get(path).size);
+      if (folders.has(path)) return describeEntry(basename(path), true);
+      throw notFoundError(filePath);
+    },
+
+    // Entries are compressed, so the file is read into memory to upload it
+    async openBlob(filePath, type) {
+      if (!isInside(resolve(filePath))) return folderSource.openBlob(filePath, type);
+      return new Blob([await readEntry(filePath)], { type });
+    }
+  };
+}
+
+/**
+ * Opens the Slite backup to migrate, which is either a folder or the backup
+ * ZIP itself. Every read of the backup goes through the returned source:
+ * readdir (returning fs.Dirent-like entries), readFile, stat,
+ * createReadStream and openBlob, which take the same paths as node:fs.
+ * @param {string} sourcePath - Backup folder, its channels folder, or the backup ZIP
+ * @returns {Promise<Object>} Backup source, with channelsPath set to the channels folder
+ */
+export async function openBackupSource(sourcePath) {
+  const stats = await stat(sourcePath).catch(() => null);
+  return stats?.isFile() ? openZipSource(sourcePath) : openFolderSource(sourcePath);
+}
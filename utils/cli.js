@@ -0,0 +1,120 @@
+import { parseArgs } from 'node:util';
+
+export const COMMANDS = ['migrate', 'plan', 'preflight', 'map-users', 'rollback', 'verify', 'export'];
+
+export const USAGE = `Usage: bun run migrate.js [command] [options]
+
+Commands:
+  migrate              Migrate the Slite backup into Outline (default)
+  plan                 Report what a migration would create, without calling the API
+  preflight            Check the API key, backup, collections and attachments, without
+                       changing anything in Outline; a migration runs these checks first
+  map-users            Match Slite users to Outline users and write the mapping file
+  rollback             Remove everything a run created
+  verify               Check that everything a run recorded is in Outline as it was migrated
+  export               Write a ZIP archive for Outline's Markdown import, without calling the API
+
+Options:
+  --source <path>      Slite backup ZIP or folder, or its channels folder
+                       (default: ./slite-backup/channels)
+  --include <glob>     Only migrate channels whose name matches the glob, can be repeated
+  --exclude <glob>     Leave out channels whose name matches the glob, can be repeated
+  --parent <document>  Nest each channel under this Outline document (ID or URL) instead of
+                       creating collections
+  --domain <url>       Outline URL, overrides OUTLINE_DOMAIN
+  --api-key <key>      Outline API key, overrides OUTLINE_API_KEY
+  --manifest <path>    Run manifest file, overrides MIGRATION_MANIFEST
+  --plugin <path>      Load a plugin module with transform hooks, can be repeated; added to
+                       the plugins in MIGRATION_PLUGINS
+  --out <path>         export: archive to write (default: ./outline-export.zip)
+  --report <path>      migrate: run report to write, HTML for a .html path (default:
+                       ./migration-report.md), overrides MIGRATION_REPORT
+  --log-level <level>  Lowest level printed: debug, info, warn or error (default: info),
+                       overrides LOG_LEVEL
+  --log-file <path>    Also append every message to this file as JSON lines, overrides
+                       MIGRATION_LOG
+  --dry-run            rollback: only print what would be removed
+  --archive            rollback: archive documents instead of deleting them
+  --yes                rollback: do not ask for confirmation
+  --help               Show this help
+`;
+
+/**
+ * Parses the command line
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {{ command: string, options: Object }} Command and option values
+ */
+export function parseCli(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      source: { type: 'string' },
+      include: { type: 'string', multiple: true, default: [] },
+      exclude: { type: 'string', multiple: true, default: [] },
+      parent: { type: 'string' },
+      domain: { type: 'string' },
+      'api-key': { type: 'string' },
+      manifest: { type: 'string' },
+      out: { type: 'string' },
+      report: { type: 'string' },
+      'log-level': { type: 'string' },
+      'log-file': { type: 'string' },
+      plugin: { type: 'string', multiple: true, default: [] },
+      'dry-run': { type: 'boolean', default: false },
+      archive: { type: 'boolean', default: false },
+      yes: { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false }
+    }
+  });
+
+  const command = positionals[0] || 'migrate';
+  if (!COMMANDS.includes(command)) {
+    throw new Error(`Unknown command: ${command}`);
+  }
+  if (positionals.length > 1) {
+    throw new Error(`Unexpected argument: ${positionals[1]}`);
+  }
+
+  return { command, options: values };
+}
+
+/**
+ * Converts a glob with `*` and `?` wildcards into a case-insensitive regex
+ * @param {string} glob - Glob pattern
+ * @returns {RegExp} Regex matching the whole name
+ */
+function globToRegExp(glob) {
+  const pattern = glob
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${pattern}$`, 'i');
+}
+
+/**
+ * Whether a channel is selected by the --include and --exclude globs
+ * @param {string} name - Channel name
+ * @param {Array<string>} include - Include globs, all channels if empty
+ * @param {Array<string>} exclude - Exclude globs
+ * @returns {boolean} True if the channel should be migrated
+ */
+export function isChannelSelected(name, include, exclude) {
+  const included = include.length === 0 || include.some(glob => globToRegExp(glob).test(name));
+  return included && !exclude.some(glob => globToRegExp(glob).test(name));
+}
+
+/**
+ * Extracts the document ID from an Outline document ID or URL. For a URL such
+ * as https://docs.example.com/doc/team-handbook-AbC123xyz the url ID at the
+ * end of the slug is returned, which the API accepts in place of the ID.
+ * @param {string} reference - Document ID or URL
+ * @returns {string} Document ID or url ID
+ */
+export function parseDocumentReference(reference) {
+  const match = reference.match(/\/doc\/([^/?#]+)/);
+  if (!match) return reference;
+
+  const slug = match[1];
+  return slug.includes('-') ? slug.slice(slug.lastIndexOf('-') + 1) : slug;
+}
@@ -0,0 +1,102 @@
+import { readFile } from 'node:fs/promises';
+
+const PERMISSIONS = ['read', 'read_write', null];
+
+/**
+ * Checks a single channel or defaults entry from the config file
+ * @param {string} label - Entry name, used in error messages
+ * @param {Object} entry - Config entry
+ */
+function validateEntry(label, entry) {
+  if (!entry || typeof entry !== 'object') {
+    throw new Error(`Collection config for ${label} must be an object`);
+  }
+  if ('permission' in entry && !PERMISSIONS.includes(entry.permission)) {
+    throw new Error(`Invalid permission for ${label}: ${entry.permission} (expected "read", "read_write" or null)`);
+  }
+  if (entry.mergeInto !== undefined && typeof entry.mergeInto !== 'string') {
+    throw new Error(`mergeInto for ${label} must be the name of an existing collection`);
+  }
+  if (entry.allowWiderAccess !== undefined && typeof entry.allowWiderAccess !== 'boolean') {
+    throw new Error(`allowWiderAccess for ${label} must be true or false`);
+  }
+}
+
+/**
+ * Loads the per-channel collection config file
+ * @param {string} filePath - Path of the config file
+ * @returns {Promise<Object>} Config with defaults and channels, empty if the file does not exist
+ */
+export async function loadCollectionConfig(filePath) {
+  let raw;
+  try {
+    raw = await readFile(filePath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { defaults: {}, channels: {} };
+    }
+    throw error;
+  }
+
+  const config = JSON.parse(raw);
+  const defaults = config.defaults || {};
+  const channels = config.channels || {};
+
+  validateEntry('defaults', defaults);
+  for (const [channelName, entry] of Object.entries(channels)) {
+    validateEntry(`channel "${channelName}"`, entry);
+  }
+
+  return { defaults, channels };
+}
+
+/**
+ * Reads the names of private channels from the backup's organization.json,
+ * if it lists channels with their visibility
+ * @param {Object} source - Backup source from openBackupSource
+ * @param {string} organizationPath - Path of organization.json
+ * @returns {Promise<Set<string>>} Names of private channels
+ */
+export async function readPrivateChannels(source, organizationPath) {
+  const organization = await source.readFile(organizationPath, 'utf-8').then(JSON.parse, () => null);
+  const channels = Array.isArray(organization?.channels) ? organization.channels : [];
+
+  return new Set(channels
+    .filter(channel => channel.private === true || channel.isPrivate === true || channel.visibility === 'private')
+    .map(channel => channel.name));
+}
+
+/**
+ * Resolves the collection settings for a channel. Channel entries override the
+ * defaults. Private channels default to a private collection (no workspace-wide
+ * permission), all others to read_write.
+ * @param {Object} config - Config from loadCollectionConfig
+ * @param {string} channelName - Name of the channel folder
+ * @param {boolean} isPrivate - Whether the channel is private in Slite
+ * @returns {Object} Collection settings
+ */
+export function resolveChannelConfig(config, channelName, isPrivate) {
+  const entry = config.channels[channelName] || {};
+  const merged = { ...config.defaults, ...entry };
+  const channelIsPrivate = merged.private ?? isPrivate;
+
+  // A private channel only becomes workspace-visible if its own entry says so
+  const permission = channelIsPrivate
+    ? ('permission' in entry ? entry.permission : null)
+    : ('permission' in merged ? merged.permission : 'read_write');
+
+  return {
+    skip: merged.skip === true,
+    mergeInto: entry.mergeInto || null,
+    name: entry.name || channelName,
+    description: merged.description,
+    icon: merged.icon,
+    color: merged.color,
+    permission,
+    sharing: merged.sharing ?? !channelIsPrivate,
+    private: channelIsPrivate,
+    // Only the channel's own entry can let a private channel be merged or
+    // nested where more people than its members can read it
+    allowWiderAccess: entry.allowWiderAccess === true
+  };
+}
@@ -0,0 +1,57 @@
+import { posix } from 'node:path';
+
+// Characters that are not allowed in file names on at least one common platform
+const UNSAFE_FILE_NAME_CHARS = /[\/\\:*?"<>|\x00-\x1f]/g;
+const MAX_FILE_NAME_LENGTH = 100;
+
+/**
+ * Turns a document title into a file name that is safe on every platform
+ * @param {string} title - Document title
+ * @returns {string} File name without extension
+ */
+export function toArchiveName(title) {
+  const name = title
+    .replace(UNSAFE_FILE_NAME_CHARS, '-')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^\.+/, '')
+    .slice(0, MAX_FILE_NAME_LENGTH)
+    .trim();
+  return name || 'Untitled';
+}
+
+/**
+ * Creates an allocator for unique paths inside the archive. Names are claimed
+ * per folder and compared case-insensitively, since the archive may be
+ * extracted on a case-insensitive file system; a clashing name gets a
+ * numbered suffix such as "Notes (2)".
+ * @returns {Function} Called with a folder and a name, returns the claimed path without extension
+ */
+export function createArchivePathAllocator() {
+  const claimed = new Set();
+
+  return (folder, name) => {
+    let candidate = name;
+    for (let n = 2; claimed.has(posix.join(folder, candidate).toLowerCase()); n++) {
+      candidate = `${name} (${n})`;
+    }
+
+    const path = posix.join(folder, candidate);
+    claimed.add(path.toLowerCase());
+    return path;
+  };
+}
+
+/**
+ * Builds the link from one file in the archive to another, relative to the
+ * linking file and URL encoded so names with spaces stay valid markdown links
+ * @param {string} fromPath - Archive path of the linking document
+ * @param {string} toPath - Archive path of the target
+ * @returns {string} Relative link
+ */
+export function relativeArchiveLink(fromPath, toPath) {
+  return posix.relative(posix.dirname(fromPath), toPath)
+    .split('/')
+    .map(segment => encodeURIComponent(segment))
+    .join('/');
+}
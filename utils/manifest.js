@@ -0,0 +1,145 @@
+import { readFile, writeFile, rename } from 'node:fs/promises';
+
+export const MANIFEST_VERSION = 1;
+
+// Changes are written in batches, as rewriting the whole manifest after every
+// document would make a large migration spend most of its time on disk. A run
+// that is killed loses at most the changes of the last batch.
+const SAVE_BATCH_SIZE = 50;
+const SAVE_INTERVAL_MS = 1000;
+
+// Saves are chained so concurrent callers never interleave partial writes
+let pendingSave = Promise.resolve();
+let unsavedChanges = 0;
+let saveTimer = null;
+let saveError = null; // from a write started by the timer, reported by the next call
+
+/**
+ * Creates an empty run manifest
+ * @returns {Object} Manifest data
+ */
+export function createEmptyManifest() {
+  const now = new Date().toISOString();
+  return {
+    version: MANIFEST_VERSION,
+    startedAt: now,
+    updatedAt: now,
+    phase: 'structure',
+    // channel name -> { id, name, created }, plus parentDocumentId when nested under --parent
+    collections: {},
+    // path relative to the backup root ->
+    // { id, url, linksUpdated, metadata, hash, collectionId, parentDocumentId, index, kind, archived },
+    // where index is the position among its siblings and kind is 'page', 'archived', 'draft' or 'template'
+    documents: {},
+    // attachment path relative to the backup root ->
+    // { id, url, documentId, sourcePath, hash }
+    attachments: {},
+    skippedDocuments: [], // paths relative to the backup root of pages a plugin kept from being created
+    unresolvedLinks: [] // { sourcePath, link, reason, candidates } from the link update phase
+  };
+}
+
+/**
+ * Loads a run manifest from disk, or returns an empty one if none exists yet
+ * @param {string} filePath - Path of the manifest file
+ * @returns {Promise<Object>} Manifest data
+ */
+export async function loadManifest(filePath) {
+  let raw;
+  try {
+    raw = await readFile(filePath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return createEmptyManifest();
+    }
+    throw error;
+  }
+
+  const manifest = JSON.parse(raw);
+  if (manifest.version !== MANIFEST_VERSION) {
+    throw new Error(`Unsupported manifest version ${manifest.version} in ${filePath}`);
+  }
+
+  return { ...createEmptyManifest(), ...manifest };
+}
+
+/**
+ * Records a change to the manifest. The manifest is written once SAVE_BATCH_SIZE
+ * changes have piled up, or SAVE_INTERVAL_MS after the first of them, whichever
+ * comes first. Call flushManifest to write it straight away.
+ * @param {string} filePath - Path of the manifest file
+ * @param {Object} manifest - Manifest data
+ * @returns {Promise<void>} Resolves once the change is written, if this call
+ *   completed a batch, and straight away otherwise
+ */
+export function saveManifest(filePath, manifest) {
+  if (saveError) {
+    const error = saveError;
+    saveError = null;
+    return Promise.reject(error);
+  }
+
+  if (++unsavedChanges >= SAVE_BATCH_SIZE) {
+    return flushManifest(filePath, manifest);
+  }
+
+  if (!saveTimer) {
+    saveTimer = setTimeout(() => {
+      flushManifest(filePath, manifest).catch(error => {
+        saveError = error;
+      });
+    }, SAVE_INTERVAL_MS);
+    // A run that ends flushes the manifest itself
+    saveTimer.unref?.();
+  }
+  return Promise.resolve();
+}
+
+/**
+ * Writes the manifest to disk now, with every change recorded so far. The file
+ * is written to a temporary path first and then renamed, so a crash mid-write
+ * never leaves a truncated manifest behind.
+ * @param {string} filePath - Path of the manifest file
+ * @param {Object} manifest - Manifest data
+ * @param {Object} [options]
+ * @param {boolean} [options.changedOnly] - Only write if saveManifest recorded changes
+ *   that are not written yet
+ * @returns {Promise<void>}
+ */
+export function flushManifest(filePath, manifest, { changedOnly = false } = {}) {
+  if (changedOnly && unsavedChanges === 0) {
+    return pendingSave.catch(() => {});
+  }
+
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  unsavedChanges = 0;
+
+  pendingSave = pendingSave
+    .catch(() => {})
+    .then(async () => {
+      manifest.updatedAt = new Date().toISOString();
+      const tempPath = `${filePath}.tmp`;
+      await writeFile(tempPath, JSON.stringify(manifest, null, 2));
+      await rename(tempPath, filePath);
+    });
+  return pendingSave;
+}
+
+/**
+ * Lists the documents whose links still need updating: those a previous run
+ * did not update, and those with unresolved links, which may link to pages
+ * created since. Documents archived in Outline are left out, as Outline does
+ * not allow editing them.
+ * @param {Object} manifest - Manifest data
+ * @param {Array<string>} documentPaths - Paths of the migrated documents, relative to the backup root
+ * @returns {Array<string>} Paths of the documents to update
+ */
+export function getPendingLinkUpdates(manifest, documentPaths) {
+  const unresolvedPaths = new Set(manifest.unresolvedLinks.map(entry => entry.sourcePath));
+  return documentPaths.filter(documentPath => {
+    const record = manifest.documents[documentPath];
+    if (record?.archived) return false;
+    return !record?.linksUpdated || unresolvedPaths.has(documentPath);
+  });
+}
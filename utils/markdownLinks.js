@@ -0,0 +1,440 @@
+const FENCE_OPEN = /^ {0,3}(`{3,}|~{3,})/;
+const INDENTED_CODE = /^(?: {4}|\t| {0,3}\t)/;
+const LIST_ITEM = /^ {0,3}(?:[*+-]|\d{1,9}[.)])(?:[ \t]|$)/;
+const REFERENCE_DEFINITION = /^ {0,3}\[((?:[^\]\\\n]|\\.)+)\]:[ \t]*(<[^>\n]*>|\S+)/;
+const AUTOLINK = /^<([A-Za-z][A-Za-z0-9+.-]{1,31}:[^\s<>]*)>/;
+const HTML_TAG = /^<(img|a|source|video|audio|iframe)\b[^>]*>/i;
+const HTML_URL_ATTRIBUTE = /\b(src|href)\s*=\s*("[^"]*"|'[^']*')/gi;
+const ABSOLUTE_URL = /^[A-Za-z][A-Za-z0-9+.-]*:/;
+const ESCAPABLE = /[!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~]/;
+
+/**
+ * Finds the ranges of code blocks, which never contain links: fenced blocks,
+ * and blocks indented by four spaces or a tab that follow a blank line, as
+ * long as they are not the content of a list item
+ * @param {string} markdown - Markdown content
+ * @returns {Array<[number, number]>} Start and end offsets of each block
+ */
+export function findCodeBlocks(markdown) {
+  const ranges = [];
+  let offset = 0;
+  let fence = null;
+  let indented = null; // indented block being read, with the end of its last line
+  let previousBlank = true;
+  let inList = false;
+
+  for (const line of markdown.split('\n')) {
+    const lineEnd = offset + line.length + 1;
+    const blank = !line.trim();
+
+    if (fence) {
+      const closing = line.match(FENCE_OPEN);
+      if (closing && closing[1][0] === fence.char && closing[1].length >= fence.length && !line.slice(closing[0].length).trim()) {
+        ranges.push([fence.start, lineEnd]);
+        fence = null;
+      }
+    } else if (!blank && INDENTED_CODE.test(line) && (indented || (previousBlank && !inList))) {
+      indented = { start: indented?.start ?? offset, end: lineEnd };
+    } else if (!blank) {
+      if (indented) {
+        ranges.push([indented.start, indented.end]);
+        indented = null;
+      }
+
+      const opening = line.match(FENCE_OPEN);
+      if (opening) {
+        fence = { char: opening[1][0], length: opening[1].length, start: offset };
+      } else if (LIST_ITEM.test(line)) {
+        inList = true;
+      } else if (previousBlank && !INDENTED_CODE.test(line)) {
+        // A paragraph after a blank line ends the list
+        inList = false;
+      }
+    }
+
+    previousBlank = blank;
+    offset = lineEnd;
+  }
+
+  // An unclosed fence runs to the end of the document
+  if (fence) {
+    ranges.push([fence.start, markdown.length]);
+  }
+  if (indented) {
+    ranges.push([indented.start, Math.min(indented.end, markdown.length)]);
+  }
+
+  return ranges;
+}
+
+/**
+ * Removes markdown backslash escapes from a link destination
+ * @param {string} value - Raw destination
+ * @returns {string} Unescaped destination
+ */
+function unescapeMarkdown(value) {
+  return value.replace(/\\([!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~])/g, '$1');
+}
+
+/**
+ * Finds the `]` closing the link text that opens at `start`, allowing nested
+ * brackets, escapes and code spans inside the text
+ * @param {string} text - Markdown content
+ * @param {number} start - Offset of the opening `[`
+ * @param {number} end - Offset to stop searching at
+ * @returns {number} Offset of the closing `]`, or -1
+ */
+function findClosingBracket(text, start, end) {
+  let depth = 0;
+
+  for (let i = start; i < end; i++) {
+    const char = text[i];
+    if (char === '\\' && ESCAPABLE.test(text[i + 1] || '')) {
+      i++;
+    } else if (char === '`') {
+      const codeEnd = findCodeSpanEnd(text, i, end);
+      if (codeEnd !== -1) i = codeEnd - 1;
+    } else if (char === '[') {
+      depth++;
+    } else if (char === ']') {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Finds the end of the inline code span opening at `start`
+ * @param {string} text - Markdown content
+ * @param {number} start - Offset of the first backtick
+ * @param {number} end - Offset to stop searching at
+ * @returns {number} Offset just after the closing backticks, or -1 if unclosed
+ */
+function findCodeSpanEnd(text, start, end) {
+  let ticks = 0;
+  while (text[start + ticks] === '`') ticks++;
+
+  for (let i = start + ticks; i < end; i++) {
+    if (text[i] !== '`') continue;
+
+    let run = 0;
+    while (text[i + run] === '`') run++;
+    if (run === ticks) return i + run;
+    i += run - 1;
+  }
+
+  return -1;
+}
+
+/**
+ * Parses the `(destination "title")` part of an inline link
+ * @param {string} text - Markdown content
+ * @param {number} start - Offset of the opening `(`
+ * @param {number} end - Offset to stop parsing at
+ * @returns {Object|null} Destination offsets, title and end offset, or null if invalid
+ */
+function parseDestination(text, start, end) {
+  let i = start + 1;
+  const skipSpace = () => {
+    let newlines = 0;
+    while (i < end && /\s/.test(text[i])) {
+      if (text[i] === '\n' && ++newlines > 1) return false;
+      i++;
+    }
+    return true;
+  };
+
+  if (!skipSpace()) return null;
+
+  let urlStart;
+  let urlEnd;
+  if (text[i] === '<') {
+    urlStart = i + 1;
+    while (i < end && text[i] !== '>' && text[i] !== '\n') {
+      if (text[i] === '\\') i++;
+      i++;
+    }
+    if (text[i] !== '>') return null;
+    urlEnd = i;
+    i++;
+  } else {
+    urlStart = i;
+    let depth = 0;
+    while (i < end && !/\s/.test(text[i])) {
+      if (text[i] === '\\' && ESCAPABLE.test(text[i + 1] || '')) {
+        i += 2;
+        continue;
+      }
+      if (text[i] === '(') depth++;
+      if (text[i] === ')') {
+        if (depth === 0) break;
+        depth--;
+      }
+      i++;
+    }
+    urlEnd = i;
+  }
+
+  const afterUrl = i;
+  if (!skipSpace()) return null;
+
+  let title = null;
+  const quote = { '"': '"', "'": "'", '(': ')' }[text[i]];
+  if (quote && i > afterUrl) {
+    const titleStart = i + 1;
+    i++;
+    while (i < end && text[i] !== quote) {
+      if (text[i] === '\\') i++;
+      i++;
+    }
+    if (text[i] !== quote) return null;
+    title = text.slice(titleStart, i);
+    i++;
+    if (!skipSpace()) return null;
+  }
+
+  if (text[i] !== ')') return null;
+
+  return { urlStart, urlEnd, title, end: i + 1 };
+}
+
+/**
+ * Parses a `(destination)` that is not valid CommonMark because the
+ * destination holds unencoded spaces, e.g. `(My Doc.md)`, which Slite exports
+ * contain. Reads up to the matching `)` on the same line, with an optional
+ * quoted title at the end.
+ * @param {string} text - Markdown content
+ * @param {number} start - Offset of the opening `(`
+ * @param {number} end - Offset to stop parsing at
+ * @returns {Object|null} Destination offsets, title and end offset, or null if there is no matching `)`
+ */
+function parseLooseDestination(text, start, end) {
+  let depth = 0;
+  let close = -1;
+  for (let i = start + 1; i < end && text[i] !== '\n'; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text[i] === '(') {
+      depth++;
+    } else if (text[i] === ')') {
+      if (depth === 0) {
+        close = i;
+        break;
+      }
+      depth--;
+    }
+  }
+  if (close === -1) return null;
+
+  const inner = text.slice(start + 1, close);
+  const match = inner.match(/^(\s*)(.*?)(?:\s+("([^"]*)"|'([^']*)'))?\s*$/);
+  if (!match[2]) return null;
+
+  const urlStart = start + 1 + match[1].length;
+  return {
+    urlStart,
+    urlEnd: urlStart + match[2].length,
+    title: match[3] ? (match[4] ?? match[5]) : null,
+    end: close + 1
+  };
+}
+
+/**
+ * Scans a range of inline markdown for links
+ * @param {string} text - Markdown content
+ * @param {number} start - Offset to start at
+ * @param {number} end - Offset to stop at
+ * @param {Array<Object>} links - Found links are pushed here
+ */
+function scanInline(text, start, end, links) {
+  for (let i = start; i < end; i++) {
+    const char = text[i];
+
+    if (char === '\\' && ESCAPABLE.test(text[i + 1] || '')) {
+      i++;
+      continue;
+    }
+
+    if (char === '`') {
+      const codeEnd = findCodeSpanEnd(text, i, end);
+      if (codeEnd !== -1) {
+        i = codeEnd - 1;
+      } else {
+        while (text[i + 1] === '`') i++;
+      }
+      continue;
+    }
+
+    if (char === '<') {
+      const rest = text.slice(i, end);
+      const autolink = rest.match(AUTOLINK);
+      if (autolink) {
+        links.push({
+          type: 'autolink',
+          text: autolink[1],
+          url: autolink[1],
+          title: null,
+          start: i,
+          end: i + autolink[0].length,
+          urlStart: i + 1,
+          urlEnd: i + 1 + autolink[1].length
+        });
+        i += autolink[0].length - 1;
+        continue;
+      }
+
+      const tag = rest.match(HTML_TAG);
+      if (tag) {
+        for (const attribute of tag[0].matchAll(HTML_URL_ATTRIBUTE)) {
+          const valueStart = i + attribute.index + attribute[0].length - attribute[2].length + 1;
+          const value = attribute[2].slice(1, -1);
+          links.push({
+            type: 'html',
+            text: '',
+            url: value,
+            title: null,
+            start: i,
+            end: i + tag[0].length,
+            urlStart: valueStart,
+            urlEnd: valueStart + value.length
+          });
+        }
+        i += tag[0].length - 1;
+        continue;
+      }
+    }
+
+    if (char === '[') {
+      const isImage = text[i - 1] === '!' && text[i - 2] !== '\\';
+      const close = findClosingBracket(text, i, end);
+      if (close === -1 || text[close + 1] !== '(') continue;
+
+      const destination = parseDestination(text, close + 1, end) || parseLooseDestination(text, close + 1, end);
+      if (!destination) continue;
+
+      links.push({
+        type: isImage ? 'image' : 'inline',
+        text: text.slice(i + 1, close),
+        url: unescapeMarkdown(text.slice(destination.urlStart, destination.urlEnd)),
+        title: destination.title,
+        start: isImage ? i - 1 : i,
+        end: destination.end,
+        urlStart: destination.urlStart,
+        urlEnd: destination.urlEnd
+      });
+
+      // Links can hold images, e.g. [![alt](image.png)](target)
+      scanInline(text, i + 1, close, links);
+      i = destination.end - 1;
+    }
+  }
+}
+
+/**
+ * Extracts every link from markdown content: inline links and images,
+ * reference definitions, autolinks and the src/href of raw HTML tags. Links
+ * inside fenced and indented code blocks and inline code spans are ignored.
+ * Inline destinations with unencoded spaces, e.g. `[Doc](My Doc.md)`, are
+ * links too, even though CommonMark does not allow them.
+ *
+ * Each link holds its type, text, url (with escapes removed), title and the
+ * offsets of the whole link and of its URL in the content.
+ *
+ * @param {string} markdown - Markdown content
+ * @returns {Array<Object>} Links in document order
+ */
+export function extractLinks(markdown) {
+  const links = [];
+  const codeBlocks = findCodeBlocks(markdown);
+  let segmentStart = 0;
+
+  for (const [blockStart, blockEnd] of [...codeBlocks, [markdown.length, markdown.length]]) {
+    // Reference definitions sit on their own line
+    let lineStart = segmentStart;
+    let inlineStart = segmentStart;
+    while (lineStart < blockStart) {
+      const newline = markdown.indexOf('\n', lineStart);
+      const lineEnd = Math.min(newline === -1 ? markdown.length : newline, blockStart);
+      const definition = markdown.slice(lineStart, lineEnd).match(REFERENCE_DEFINITION);
+
+      if (definition) {
+        scanInline(markdown, inlineStart, lineStart, links);
+
+        const rawUrl = definition[2];
+        const bracketed = rawUrl.startsWith('<');
+        const urlStart = lineStart + definition[0].length - rawUrl.length + (bracketed ? 1 : 0);
+        const url = bracketed ? rawUrl.slice(1, -1) : rawUrl;
+        const titleMatch = markdown.slice(lineStart + definition[0].length, lineEnd).match(/^\s+("([^"]*)"|'([^']*)'|\(([^)]*)\))/);
+
+        links.push({
+          type: 'reference',
+          text: definition[1],
+          url: unescapeMarkdown(url),
+          title: titleMatch ? (titleMatch[2] ?? titleMatch[3] ?? titleMatch[4]) : null,
+          start: lineStart,
+          end: lineEnd,
+          urlStart,
+          urlEnd: urlStart + url.length
+        });
+        inlineStart = lineEnd;
+      }
+
+      lineStart = lineEnd + 1;
+    }
+
+    scanInline(markdown, inlineStart, blockStart, links);
+    segmentStart = blockEnd;
+  }
+
+  return links.sort((a, b) => a.start - b.start || a.urlStart - b.urlStart);
+}
+
+/**
+ * Rewrites link URLs in markdown content. Only the URL itself is replaced, so
+ * link text, titles and the rest of the document stay exactly as they were.
+ * @param {string} markdown - Markdown content
+ * @param {Function} replacer - Called with each link from extractLinks; returns the new URL, or undefined to keep it
+ * @returns {string} Updated content
+ */
+export function rewriteLinks(markdown, replacer) {
+  const replacements = [];
+
+  for (const link of extractLinks(markdown)) {
+    const url = replacer(link);
+    if (url !== undefined && url !== null && url !== link.url) {
+      replacements.push({ start: link.urlStart, end: link.urlEnd, url });
+    }
+  }
+
+  // Apply from the end so earlier offsets stay valid
+  let result = markdown;
+  for (const { start, end, url } of replacements.sort((a, b) => b.start - a.start)) {
+    result = result.slice(0, start) + url + result.slice(end);
+  }
+
+  return result;
+}
+
+/**
+ * Splits a URL into the part before the `#` anchor and the anchor itself
+ * @param {string} url - Link URL
+ * @returns {{ path: string, anchor: string }} Path and anchor (including `#`, or empty)
+ */
+export function splitAnchor(url) {
+  const index = url.indexOf('#');
+  return index === -1
+    ? { path: url, anchor: '' }
+    : { path: url.slice(0, index), anchor: url.slice(index) };
+}
+
+/**
+ * Whether a link URL points outside the backup (has a scheme such as
+ * https:, mailto: or data:, or is protocol-relative)
+ * @param {string} url - Link URL
+ * @returns {boolean} True for external URLs
+ */
+export function isExternalUrl(url) {
+  return ABSOLUTE_URL.test(url) || url.startsWith('//');
+}
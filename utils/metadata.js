@@ -0,0 +1,191 @@
+// Header fields we know how to interpret, with the key spellings seen in exports
+const KNOWN_FIELDS = {
+  id: ['id', 'docid', 'doc_id', 'sliteid', 'slite_id', 'noteid'],
+  title: ['title'],
+  author: ['author', 'createdby', 'created_by', 'owner'],
+  createdAt: ['createdat', 'created_at', 'created', 'creationdate'],
+  updatedAt: ['updatedat', 'updated_at', 'updated', 'lastedited', 'lastupdated', 'lastmodified'],
+  tags: ['tags', 'tag', 'labels'],
+  url: ['url', 'link', 'sliteurl', 'slite_url']
+};
+
+const FRONT_MATTER_DELIMITER = /^-{3,}\s*$/;
+const HEADER_FIELD = /^([A-Za-z][\w -]*?)\s*:\s*(.*)$/;
+const LIST_ITEM = /^\s+-\s+(.*)$/;
+
+/**
+ * Removes matching surrounding quotes from a header value
+ * @param {string} value - Raw value
+ * @returns {string} Unquoted value
+ */
+function unquote(value) {
+  const trimmed = value.trim();
+  const match = trimmed.match(/^(["'])(.*)\1$/);
+  return match ? match[2] : trimmed;
+}
+
+/**
+ * Parses a header value, turning `[a, b]` style lists into arrays
+ * @param {string} value - Raw value
+ * @returns {string|Array<string>} Parsed value
+ */
+function parseValue(value) {
+  const trimmed = value.trim();
+  if (trimmed.startsWith('[') && trimmed.endsWith(']')) {
+    return trimmed.slice(1, -1).split(',').map(unquote).filter(Boolean);
+  }
+  return unquote(trimmed);
+}
+
+/**
+ * Parses `key: value` header lines into a map of raw fields. Indented `- item`
+ * lines following a key with no value are collected into a list.
+ * @param {Array<string>} lines - Header lines
+ * @returns {Object} Raw fields keyed by their original names
+ */
+function parseFields(lines) {
+  const fields = {};
+  let lastKey = null;
+
+  for (const line of lines) {
+    const item = line.match(LIST_ITEM);
+    if (item && lastKey) {
+      fields[lastKey] = [].concat(fields[lastKey] || [], unquote(item[1]));
+      continue;
+    }
+
+    const field = line.match(HEADER_FIELD);
+    if (field) {
+      lastKey = field[1].trim();
+      fields[lastKey] = field[2].trim() ? parseValue(field[2]) : [];
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Maps raw header fields onto the known metadata properties
+ * @param {Object} fields - Raw fields
+ * @returns {Object} Structured metadata, with the raw fields under `fields`
+ */
+function normalizeFields(fields) {
+  const metadata = {
+    id: null,
+    title: null,
+    author: null,
+    createdAt: null,
+    updatedAt: null,
+    tags: [],
+    url: null,
+    fields
+  };
+
+  for (const [key, value] of Object.entries(fields)) {
+    const normalizedKey = key.toLowerCase().replace(/[\s-]/g, '');
+    const property = Object.keys(KNOWN_FIELDS)
+      .find(name => KNOWN_FIELDS[name].includes(normalizedKey));
+
+    if (!property) continue;
+
+    if (property === 'tags') {
+      metadata.tags = Array.isArray(value)
+        ? value
+        : value.split(',').map(tag => tag.trim()).filter(Boolean);
+    } else if (!Array.isArray(value) && value) {
+      metadata[property] = value;
+    }
+  }
+
+  return metadata;
+}
+
+/**
+ * Splits the Slite metadata header off a markdown document.
+ *
+ * Two header shapes are recognised: a front matter block delimited by `---`
+ * lines, and a leading run of `key: value` lines containing at least one known
+ * field. A `---` block only counts as front matter if it has a known field or
+ * holds nothing but fields, since a document may also start with a thematic
+ * break. The header may be any length; when no header is found the document
+ * is returned untouched rather than losing real content.
+ *
+ * @param {string} content - Raw document content
+ * @returns {{ metadata: Object|null, body: string }} Parsed metadata and the remaining content
+ */
+export function parseMetadataHeader(content) {
+  const lines = content.split('\n');
+  const isFrontMatter = FRONT_MATTER_DELIMITER.test(lines[0]);
+  let headerLines;
+  let bodyStart;
+
+  if (isFrontMatter) {
+    const closing = lines.findIndex((line, i) => i > 0 && FRONT_MATTER_DELIMITER.test(line));
+    if (closing === -1) {
+      return { metadata: null, body: content };
+    }
+    headerLines = lines.slice(1, closing);
+    bodyStart = closing + 1;
+  } else {
+    let i = 0;
+    while (i < lines.length && (HEADER_FIELD.test(lines[i]) || (i > 0 && LIST_ITEM.test(lines[i])))) {
+      i++;
+    }
+    headerLines = lines.slice(0, i);
+    bodyStart = i;
+  }
+
+  const metadata = normalizeFields(parseFields(headerLines));
+  const hasKnownField = Object.keys(KNOWN_FIELDS)
+    .some(name => name === 'tags' ? metadata.tags.length > 0 : metadata[name]);
+
+  // A block only counts as a header if it looks like one
+  const onlyFields = headerLines.some(line => HEADER_FIELD.test(line)) && headerLines.every(line =>
+    !line.trim() || HEADER_FIELD.test(line) || LIST_ITEM.test(line)
+  );
+  if (!hasKnownField && !(isFrontMatter && onlyFields)) {
+    return { metadata: null, body: content };
+  }
+
+  return {
+    metadata,
+    body: lines.slice(bodyStart).join('\n').replace(/^\s*\n/, '')
+  };
+}
+
+/**
+ * Formats metadata for inclusion in the migrated document
+ * @param {Object|null} metadata - Metadata from parseMetadataHeader
+ * @param {string} style - 'table' for a property table, 'footer' for a footer line, anything else for nothing
+ * @param {Object} [overrides]
+ * @param {string} [overrides.author] - Markdown to show for the author instead of the raw header value
+ * @returns {string} Markdown, or an empty string
+ */
+export function formatMetadata(metadata, style, { author = metadata?.author } = {}) {
+  if (!metadata) return '';
+
+  const rows = [
+    ['Author', author],
+    ['Created', metadata.createdAt],
+    ['Updated', metadata.updatedAt],
+    ['Tags', metadata.tags.join(', ')],
+    ['Slite ID', metadata.id]
+  ].filter(([, value]) => value);
+
+  if (rows.length === 0) return '';
+
+  if (style === 'table') {
+    return [
+      '| Property | Value |',
+      '| --- | --- |',
+      ...rows.map(([label, value]) => `| ${label} | ${String(value).replace(/\|/g, '\\|')} |`)
+    ].join('\n');
+  }
+
+  if (style === 'footer') {
+    const details = rows.map(([label, value]) => `${label}: ${value}`).join(' · ');
+    return `---\n\n_Migrated from Slite. ${details}_`;
+  }
+
+  return '';
+}
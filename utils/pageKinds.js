@@ -0,0 +1,119 @@
+// Kinds of Slite pages that have an Outline equivalent other than a published
+// document, in order of precedence when a page looks like more than one
+export const PAGE_KINDS = ['template', 'archived', 'draft'];
+
+// What to do with a page of each kind: migrate it as its Outline equivalent,
+// leave it out, or migrate it as a normal published document
+export const PAGE_KIND_ACTIONS = ['include', 'skip', 'publish'];
+
+// Header fields naming a page's status, e.g. `status: draft`
+const STATUS_FIELDS = ['status', 'state', 'type', 'kind', 'doctype', 'doc_type'];
+
+// Header fields flagging a page as one kind, e.g. `archived: true`
+const FLAG_FIELDS = {
+  template: ['template', 'istemplate', 'is_template'],
+  archived: ['archived', 'isarchived', 'is_archived'],
+  draft: ['draft', 'isdraft', 'is_draft']
+};
+
+// Header fields holding the date a page became one kind, e.g. `archivedAt: 2023-01-01`
+const DATE_FIELDS = {
+  template: [],
+  archived: ['archivedat', 'archived_at'],
+  draft: []
+};
+
+// Header fields that mark a draft when they are false, e.g. `published: false`
+const PUBLISHED_FIELDS = ['published', 'ispublished', 'is_published'];
+
+// Channels whose pages are all of one kind, matched by name
+const KIND_CHANNELS = {
+  template: /^templates?$/i,
+  archived: /^archived?$/i
+};
+
+const TRUE_VALUES = /^(true|yes|1)$/i;
+const EMPTY_VALUES = /^(|false|no|0|null|none)$/i;
+
+/**
+ * Reads the page kind settings from the environment, e.g. `DRAFT_PAGES=skip`
+ * @param {Object} env - Environment variables
+ * @returns {Object} Action for each kind, keyed by kind
+ * @throws {Error} If a setting is not one of PAGE_KIND_ACTIONS
+ */
+export function resolvePageKindSettings(env) {
+  const settings = {};
+  for (const kind of PAGE_KINDS) {
+    const name = `${kind.toUpperCase()}_PAGES`;
+    const action = env[name] || 'include';
+    if (!PAGE_KIND_ACTIONS.includes(action)) {
+      throw new Error(`Invalid ${name}: ${action} (expected ${PAGE_KIND_ACTIONS.join(', ')})`);
+    }
+    settings[kind] = action;
+  }
+  return settings;
+}
+
+/**
+ * Classifies a Slite page from its metadata header and the channel it is in.
+ * The header wins over the channel, and a template is never treated as
+ * archived or draft.
+ * @param {Object|null} metadata - Metadata from parseMetadataHeader
+ * @param {string} channelName - Name of the channel folder
+ * @returns {string} 'template', 'archived', 'draft' or 'page'
+ */
+export function classifyPage(metadata, channelName) {
+  const fields = Object.entries(metadata?.fields || {})
+    .filter(([, value]) => typeof value === 'string')
+    .map(([key, value]) => [key.toLowerCase().replace(/[\s-]/g, ''), value.trim()]);
+  const status = fields.find(([key]) => STATUS_FIELDS.includes(key))?.[1].toLowerCase();
+
+  for (const kind of PAGE_KINDS) {
+    const isKind = status === kind || fields.some(([key, value]) =>
+      (FLAG_FIELDS[kind].includes(key) && TRUE_VALUES.test(value))
+      || (DATE_FIELDS[kind].includes(key) && !EMPTY_VALUES.test(value))
+    );
+    if (isKind) return kind;
+  }
+
+  if (fields.some(([key, value]) => PUBLISHED_FIELDS.includes(key) && /^(false|no|0)$/i.test(value))) {
+    return 'draft';
+  }
+
+  for (const [kind, pattern] of Object.entries(KIND_CHANNELS)) {
+    if (pattern.test(channelName)) return kind;
+  }
+
+  return 'page';
+}
+
+/**
+ * Creates empty counts of what happened to the pages of each kind
+ * @returns {Object} Counts of included, published and skipped pages, keyed by kind
+ */
+export function createPageKindStats() {
+  return Object.fromEntries(PAGE_KINDS.map(kind => [kind, { included: 0, published: 0, skipped: 0 }]));
+}
+
+/**
+ * Describes the page kind counts for the run summary
+ * @param {Object} stats - Counts from createPageKindStats
+ * @returns {string|null} Summary, or null if the backup had no such pages
+ */
+export function formatPageKindStats(stats) {
+  const labels = {
+    archived: ['archived pages', 'archived'],
+    draft: ['drafts', 'kept unpublished'],
+    template: ['templates', 'made Outline templates']
+  };
+
+  const parts = PAGE_KINDS
+    .filter(kind => stats[kind].included + stats[kind].published + stats[kind].skipped > 0)
+    .map(kind => {
+      const { included, published, skipped } = stats[kind];
+      const [label, includedLabel] = labels[kind];
+      return `${included + published + skipped} ${label} (${included} ${includedLabel}, ${published} published, ${skipped} skipped)`;
+    });
+
+  return parts.length > 0 ? parts.join(', ') : null;
+}
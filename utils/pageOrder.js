@@ -0,0 +1,169 @@
+import { readFile } from 'node:fs/promises';
+
+// Header fields that may hold a page's position among its siblings
+const ORDER_FIELDS = ['order', 'position', 'sortorder', 'sort_order', 'rank'];
+
+// Fixed locale, so the fallback order is the same on every machine
+const naturalCollator = new Intl.Collator('en', { numeric: true, sensitivity: 'base' });
+
+/**
+ * Loads the page order override file, which lists the pages of a folder in
+ * the order they should appear. Keys are folder paths relative to the
+ * channels folder, e.g. "Engineering" or "Engineering/Onboarding", and values
+ * list page names (the file name without `.md`, or the folder name) or titles.
+ * @param {string} filePath - Path of the override file
+ * @returns {Promise<Object>} Page names keyed by folder path, empty if the file does not exist
+ */
+export async function loadPageOrder(filePath) {
+  let raw;
+  try {
+    raw = await readFile(filePath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw error;
+  }
+
+  const config = JSON.parse(raw);
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Page order in ${filePath} must be an object of folder paths`);
+  }
+
+  const order = {};
+  for (const [folder, names] of Object.entries(config)) {
+    if (!Array.isArray(names) || names.some(name => typeof name !== 'string')) {
+      throw new Error(`Page order for "${folder}" in ${filePath} must be a list of page names`);
+    }
+    // Accept Windows separators and stray slashes, e.g. "Engineering\\Onboarding/"
+    order[folder.replace(/\\/g, '/').replace(/^\/+|\/+$/g, '')] = names;
+  }
+
+  return order;
+}
+
+/**
+ * Reads a page's position from its metadata header, if Slite exported one
+ * @param {Object|null} metadata - Metadata from parseMetadataHeader
+ * @returns {number|string|null} Position, as a number when it is numeric
+ */
+export function getMetadataOrder(metadata) {
+  const fields = metadata?.fields || {};
+  for (const [key, value] of Object.entries(fields)) {
+    if (!ORDER_FIELDS.includes(key.toLowerCase().replace(/[\s-]/g, ''))) continue;
+    if (typeof value !== 'string' || !value) continue;
+
+    const number = Number(value);
+    return Number.isFinite(number) ? number : value;
+  }
+  return null;
+}
+
+/**
+ * Compares two metadata positions. Numbers sort numerically and before
+ * string ranks, which sort by code point like fractional indexes do.
+ * @param {number|string} a - Position
+ * @param {number|string} b - Position
+ * @returns {number} Sort order
+ */
+function comparePositions(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  if (typeof a === 'number') return -1;
+  if (typeof b === 'number') return 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Compares two names naturally, so "Page 2" comes before "Page 10", falling
+ * back to an exact comparison so the order never depends on the file system
+ * @param {string} a - Name
+ * @param {string} b - Name
+ * @returns {number} Sort order
+ */
+export function compareNaturally(a, b) {
+  return naturalCollator.compare(a, b) || (a < b ? -1 : a > b ? 1 : 0);
+}
+
+/**
+ * Sorts the pages of a folder: pages listed in the override file come first,
+ * in its order, followed by pages with a position in their metadata, and then
+ * the rest by natural name order
+ * @param {Array<Object>} items - Pages, each with a name, title and position (or null)
+ * @param {Array<string>} [overrideNames] - Names from the override file for this folder
+ * @returns {{ sorted: Array<Object>, unknownNames: Array<string> }} Sorted pages, and override
+ *   names that match none of them
+ */
+export function sortPages(items, overrideNames = []) {
+  const ranks = new Map();
+  overrideNames.forEach((name, rank) => {
+    if (!ranks.has(name)) ranks.set(name, rank);
+  });
+  const rankOf = item => ranks.get(item.name) ?? ranks.get(item.title) ?? Infinity;
+
+  const sorted = [...items].sort((a, b) => {
+    const rankA = rankOf(a);
+    const rankB = rankOf(b);
+    if (rankA !== rankB) return rankA < rankB ? -1 : 1;
+
+    if (a.position !== null && b.position !== null) {
+      const byPosition = comparePositions(a.position, b.position);
+      if (byPosition) return byPosition;
+    } else if (a.position !== null || b.position !== null) {
+      return a.position !== null ? -1 : 1;
+    }
+
+    return compareNaturally(a.name, b.name);
+  });
+
+  const unknownNames = [...ranks.keys()]
+    .filter(name => !items.some(item => item.name === name || item.title === name));
+
+  return { sorted, unknownNames };
+}
+
+/**
+ * Tracks the order of the documents under one parent while a sync puts its
+ * pages in place. Documents are placed one after another in the order of the
+ * backup, and a document only moves when the documents placed before it are
+ * no longer in front of it, so a page added or removed elsewhere among its
+ * siblings does not move it.
+ * @param {Array<string>} ids - IDs of the documents already under the parent, in their current order
+ * @returns {Object} Order with place(key) and indexOf(key) methods
+ */
+export function createSiblingOrder(ids) {
+  const order = [...ids];
+  const placed = new Set();
+  let lastPlaced = null;
+
+  return {
+    /**
+     * Places a document right after the previously placed one
+     * @param {string} key - Document ID, or any unique key for a document not created yet
+     * @returns {{ index: number, moved: boolean }} Its index among the siblings, and whether
+     *   it had to move there
+     */
+    place(key) {
+      const current = order.indexOf(key);
+      let moved = true;
+      if (current !== -1) {
+        const previous = order.slice(0, current).findLast(id => placed.has(id)) ?? null;
+        moved = previous !== lastPlaced;
+        if (moved) order.splice(current, 1);
+      }
+
+      const index = moved ? (lastPlaced === null ? 0 : order.indexOf(lastPlaced) + 1) : current;
+      if (moved) order.splice(index, 0, key);
+      placed.add(key);
+      lastPlaced = key;
+      return { index, moved };
+    },
+
+    /**
+     * @param {string} key - Key the document was placed with
+     * @returns {number} Its current index among the siblings, or -1 if it is not among them
+     */
+    indexOf(key) {
+      return order.indexOf(key);
+    }
+  };
+}
@@ -0,0 +1,82 @@
+/**
+ * Formats a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Human readable size
+ */
+export function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Formats a document tree as indented lines
+ * @param {Array<Object>} nodes - Document tree nodes
+ * @param {number} depth - Current indentation depth
+ * @returns {Array<string>} Lines
+ */
+function formatTree(nodes, depth) {
+  return nodes.flatMap(node => [
+    `${'  '.repeat(depth)}- ${node.title}${node.type === 'folder' ? '/' : ''} (${node.relativePath})${node.kind && node.kind !== 'page' ? ` [${node.kind}]` : ''}`,
+    ...formatTree(node.children || [], depth + 1)
+  ]);
+}
+
+/**
+ * Describes why a link could not be resolved
+ * @param {string} reason - 'missing', 'ambiguous' or 'not-exported'
+ * @param {Array<string>} candidates - Documents an ambiguous link could point to
+ * @returns {string} Description
+ */
+export function describeUnresolvedLink(reason, candidates) {
+  if (reason === 'ambiguous') return `ambiguous, could be ${candidates.join(' or ')}`;
+  if (reason === 'not-exported') return 'Slite page not in this export';
+  return 'missing';
+}
+
+/**
+ * Formats a migration plan as a human readable report
+ * @param {Object} plan - Plan built by the migration's plan mode
+ * @returns {string} Report text
+ */
+export function formatPlan(plan) {
+  const lines = [];
+  const documentCount = plan.collections.reduce((sum, c) => sum + c.documentCount, 0);
+
+  lines.push('', `Collections (${plan.collections.length}), documents (${documentCount}):`);
+  for (const collection of plan.collections) {
+    const target = collection.parent
+      ? `nested under document ${collection.parent}`
+      : collection.mergeInto
+      ? `merged into existing collection "${collection.mergeInto}"`
+      : `new collection "${collection.name}", permission: ${collection.permission ?? 'private'}, sharing: ${collection.sharing ? 'on' : 'off'}`;
+    lines.push(`* ${collection.channel} -> ${target} (${collection.documentCount} documents)`);
+    lines.push(...formatTree(collection.documents, 1));
+  }
+
+  if (plan.skippedChannels.length > 0) {
+    lines.push('', `Skipped channels (${plan.skippedChannels.length}): ${plan.skippedChannels.join(', ')}`);
+  }
+
+  lines.push('', `Attachments (${plan.attachments.length}):`);
+  for (const attachment of plan.attachments) {
+    const details = attachment.exists ? `${formatSize(attachment.size)}, ${attachment.mimeType}` : 'MISSING';
+    const note = !attachment.hasDocument ? ' [no document for source, will be skipped]'
+      : attachment.tooLarge ? ` [over the ${formatSize(plan.maxAttachmentSize)} limit, will be skipped]`
+      : attachment.duplicate ? ' [same content as another attachment, uploaded once]'
+      : '';
+    lines.push(`- ${attachment.resolvedPath} (${details}) from ${attachment.sourcePath}${note}`);
+  }
+
+  lines.push('', `Missing attachments (${plan.missingAttachments.length}):`);
+  for (const attachment of plan.missingAttachments) {
+    lines.push(`- ${attachment.link} in ${attachment.sourcePath} -> ${attachment.resolvedPath}`);
+  }
+
+  lines.push('', `Unresolved links (${plan.unresolvedLinks.length}):`);
+  for (const { sourcePath, link, reason, candidates } of plan.unresolvedLinks) {
+    lines.push(`- ${link} in ${sourcePath} (${describeUnresolvedLink(reason, candidates)})`);
+  }
+
+  return lines.join('\n');
+}
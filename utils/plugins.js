@@ -0,0 +1,68 @@
+import { resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+// Hook points a plugin can implement, in the order they run for a document
+export const HOOKS = [
+  'beforeParse',
+  'afterParse',
+  'beforeCreateDocument',
+  'beforeUploadAttachment',
+  'afterUpdateLinks'
+];
+
+/**
+ * Loads plugin modules. A plugin module exports its hooks, either as named
+ * exports or as the properties of its default export.
+ * @param {Array<string>} paths - Module paths, relative to the working directory
+ * @returns {Promise<Array<Object>>} Plugins with their name and hooks
+ */
+export async function loadPlugins(paths) {
+  const plugins = [];
+
+  for (const path of paths) {
+    const module = await import(pathToFileURL(resolve(path)).href);
+    const exports = module.default && typeof module.default === 'object' ? module.default : module;
+    const hooks = Object.fromEntries(
+      HOOKS.filter(hook => typeof exports[hook] === 'function').map(hook => [hook, exports[hook]])
+    );
+
+    const unknown = Object.keys(exports).filter(key => key !== 'default' && !HOOKS.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`Plugin ${path} exports unknown hooks: ${unknown.join(', ')} (known hooks: ${HOOKS.join(', ')})`);
+    }
+
+    plugins.push({ name: path, hooks });
+  }
+
+  return plugins;
+}
+
+/**
+ * Runs a hook of every plugin in turn, each one receiving the value returned
+ * by the one before. A hook returns the new value, undefined to keep the value
+ * as it is, or false to skip the item, in which case later plugins are not run.
+ * @param {Array<Object>} plugins - Plugins from loadPlugins
+ * @param {string} hook - Hook name
+ * @param {*} value - Value to transform
+ * @param {Object} context - Passed to each hook, with at least sourcePath and metadata
+ * @returns {Promise<*>} The transformed value, or null if the item is skipped
+ */
+export async function runHook(plugins, hook, value, context) {
+  let result = value;
+
+  for (const plugin of plugins) {
+    if (!plugin.hooks[hook]) continue;
+
+    let returned;
+    try {
+      returned = await plugin.hooks[hook](result, context);
+    } catch (error) {
+      throw new Error(`Plugin ${plugin.name} failed in ${hook} for ${context.sourcePath}: ${error.message}`);
+    }
+
+    if (returned === false) return null;
+    if (returned !== undefined) result = returned;
+  }
+
+  return result;
+}
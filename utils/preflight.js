@@ -0,0 +1,47 @@
+// Outline roles that cannot create collections, documents or attachments
+const READ_ONLY_ROLES = ['viewer', 'guest'];
+
+/**
+ * Works out what the signed in user may do in their workspace from an
+ * auth.info response. Outline sends the abilities on the team's policy; older
+ * versions without it only tell the user's role.
+ * @param {Object} response - auth.info response, with data and policies
+ * @returns {{ createCollection: boolean, createAttachment: boolean }} Abilities
+ */
+export function getWorkspaceAbilities(response) {
+  const { user, team } = response.data;
+  const abilities = response.policies?.find(policy => policy.id === team?.id)?.abilities;
+  if (abilities) {
+    return {
+      createCollection: Boolean(abilities.createCollection),
+      createAttachment: Boolean(abilities.createAttachment)
+    };
+  }
+
+  const readOnly = READ_ONLY_ROLES.includes(user.role) || Boolean(user.isViewer);
+  return { createCollection: !readOnly, createAttachment: !readOnly };
+}
+
+/**
+ * Formats a preflight report as human readable text
+ * @param {Object} report - Report built by the migration's preflight checks
+ * @param {Array<string>} report.checks - What was checked and found
+ * @param {Array<string>} report.errors - Problems that stop the migration
+ * @param {Array<string>} report.warnings - Problems the migration works around
+ * @returns {string} Report text
+ */
+export function formatPreflightReport({ checks, errors, warnings }) {
+  const lines = ['', 'Preflight checks:', ...checks.map(check => `* ${check}`)];
+
+  if (errors.length > 0) {
+    lines.push('', `Errors (${errors.length}), fix these before migrating:`);
+    lines.push(...errors.map(error => `- ${error}`));
+  }
+
+  if (warnings.length > 0) {
+    lines.push('', `Warnings (${warnings.length}):`);
+    lines.push(...warnings.map(warning => `- ${warning}`));
+  }
+
+  return lines.join('\n');
+}
@@ -0,0 +1,77 @@
+import { timeStampLog, setStatusLine } from './timeStampLog.js';
+
+// Without a terminal to redraw, progress is logged at most this often
+const LOG_INTERVAL = 15 * 1000;
+// Terminal redraws are limited to this rate
+const REDRAW_INTERVAL = 100;
+
+/**
+ * Formats a duration for display
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Duration such as "42s", "3m 5s" or "1h 12m"
+ */
+export function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+  return `${Math.floor(seconds / 3600)}h ${Math.floor(seconds / 60) % 60}m`;
+}
+
+/**
+ * Tracks the progress of a phase through a known number of items. On a
+ * terminal the counts and ETA are shown on a live status line; otherwise
+ * they are logged every so often.
+ * @param {string} label - Phase name, e.g. "Uploading attachments"
+ * @param {number} total - Number of items in the phase
+ * @returns {{ tick: Function, finish: Function }} Progress tracker
+ */
+export function createProgress(label, total) {
+  const startedAt = Date.now();
+  let done = 0;
+  let failed = 0;
+  let lastDraw = 0;
+  let lastLog = startedAt;
+
+  function describe() {
+    const percent = total > 0 ? Math.floor((done / total) * 100) : 100;
+    const elapsed = Date.now() - startedAt;
+    const eta = done > 0 && done < total ? `, ETA ${formatDuration((elapsed / done) * (total - done))}` : '';
+    return `${label}: ${done}/${total} (${percent}%)${failed > 0 ? `, ${failed} failed` : ''}${eta}`;
+  }
+
+  /**
+   * Counts a finished item
+   * @param {boolean} [itemFailed] - Whether the item failed
+   */
+  function tick(itemFailed = false) {
+    done++;
+    if (itemFailed) failed++;
+
+    const now = Date.now();
+    if (now - lastDraw >= REDRAW_INTERVAL || done === total) {
+      setStatusLine(describe());
+      lastDraw = now;
+    }
+    if (!process.stderr.isTTY && now - lastLog >= LOG_INTERVAL) {
+      timeStampLog(describe(), 'info', { phase: label, done, total, failed });
+      lastLog = now;
+    }
+  }
+
+  /**
+   * Ends the phase, removing the status line and logging its totals
+   * @returns {Object} Phase totals: label, total, done, failed and durationMs
+   */
+  function finish() {
+    setStatusLine('');
+    const durationMs = Date.now() - startedAt;
+    if (total > 0) {
+      timeStampLog(`${label}: ${done - failed} done, ${failed} failed, in ${formatDuration(durationMs)}`, 'info', {
+        phase: label, done, total, failed, durationMs
+      });
+    }
+    return { label, total, done, failed, durationMs };
+  }
+
+  return { tick, finish };
+}
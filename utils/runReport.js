@@ -0,0 +1,210 @@
+import { describeUnresolvedLink } from './plan.js';
+import { formatDuration } from './progress.js';
+import { formatPageKindStats } from './pageKinds.js';
+
+/**
+ * Creates an empty report for a migration run, filled in as the run goes
+ * @param {Object} details - Outline URL, source and manifest paths of the run
+ * @returns {Object} Run report
+ */
+export function createRunReport(details) {
+  return {
+    ...details,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    fatalError: null,
+    phases: [], // totals from createProgress
+    documents: null, // created, updated, moved, reordered, archived and restored counts
+    pageKinds: null, // archived pages, drafts and templates, from createPageKindStats
+    failedDocuments: [], // { sourcePath, error }
+    failedAttachments: [], // { attachmentPath, sourcePath, error }
+    missingAttachments: [], // { attachmentPath, sourcePath }
+    skippedAttachments: [], // { attachmentPath, sourcePath, reason }
+    unresolvedLinks: [], // { sourcePath, link, reason, candidates }
+    otherFailures: [] // { step, item, error }
+  };
+}
+
+/**
+ * Counts what failed in a run and could succeed when it is run again.
+ * Missing attachments and unresolved links come from the backup itself, so
+ * they are reported but not counted.
+ * @param {Object} report - Run report
+ * @returns {number} Number of failures
+ */
+export function countFailures(report) {
+  return (report.fatalError ? 1 : 0)
+    + report.failedDocuments.length
+    + report.failedAttachments.length
+    + report.otherFailures.length;
+}
+
+/**
+ * Lists the report's sections with their columns
+ * @param {Object} report - Run report
+ * @returns {Array<Object>} Sections with a title, rows and columns of [heading, cell getter]
+ */
+function getSections(report) {
+  return [
+    {
+      title: 'Failed documents',
+      rows: report.failedDocuments,
+      columns: [['Source path', row => row.sourcePath], ['Error', row => row.error]]
+    },
+    {
+      title: 'Failed attachments',
+      rows: report.failedAttachments,
+      columns: [['Attachment', row => row.attachmentPath], ['Source path', row => row.sourcePath], ['Error', row => row.error]]
+    },
+    {
+      title: 'Missing attachments',
+      rows: report.missingAttachments,
+      columns: [['Attachment', row => row.attachmentPath], ['Source path', row => row.sourcePath]]
+    },
+    {
+      title: 'Skipped attachments',
+      rows: report.skippedAttachments,
+      columns: [['Attachment', row => row.attachmentPath], ['Source path', row => row.sourcePath], ['Reason', row => row.reason]]
+    },
+    {
+      title: 'Unresolved links',
+      rows: report.unresolvedLinks,
+      columns: [
+        ['Link', row => row.link],
+        ['Source path', row => row.sourcePath],
+        ['Reason', row => describeUnresolvedLink(row.reason, row.candidates)]
+      ]
+    },
+    {
+      title: 'Other failures',
+      rows: report.otherFailures,
+      columns: [['Step', row => row.step], ['Item', row => row.item], ['Error', row => row.error]]
+    }
+  ];
+}
+
+/**
+ * Lists the run's overall details as label and value pairs
+ * @param {Object} report - Run report
+ * @returns {Array<Array<string>>} Details
+ */
+function getDetails(report) {
+  const failures = countFailures(report);
+  const details = [
+    ['Result', report.fatalError ? `Failed: ${report.fatalError}`
+      : failures > 0 ? `Finished with ${failures} failures`
+      : 'Completed successfully'],
+    ['Started', report.startedAt],
+    ['Finished', report.finishedAt],
+    ['Outline', report.outline],
+    ['Source', report.source],
+    ['Manifest', report.manifest]
+  ];
+
+  if (report.documents) {
+    const { created, updated, moved, reordered, archived, restored } = report.documents;
+    details.push(['Documents', `${created} created, ${updated} updated, ${moved} moved, ${reordered} reordered, ${archived} archived, ${restored} restored`]);
+  }
+  const pageKinds = report.pageKinds && formatPageKindStats(report.pageKinds);
+  if (pageKinds) {
+    details.push(['Page kinds', pageKinds]);
+  }
+  for (const phase of report.phases) {
+    details.push([phase.label, `${phase.done - phase.failed} done, ${phase.failed} failed, in ${formatDuration(phase.durationMs)}`]);
+  }
+
+  return details;
+}
+
+/**
+ * Escapes text for a Markdown table cell
+ * @param {*} value - Cell value
+ * @returns {string} Escaped text
+ */
+function escapeMarkdownCell(value) {
+  return String(value ?? '').replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Escapes text for HTML
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Formats a run report as Markdown
+ * @param {Object} report - Run report
+ * @returns {string} Markdown document
+ */
+function formatMarkdown(report) {
+  const lines = ['# Slite to Outline migration report', ''];
+  lines.push(...getDetails(report).map(([label, value]) => `- **${label}:** ${value}`));
+
+  for (const { title, rows, columns } of getSections(report)) {
+    lines.push('', `## ${title} (${rows.length})`, '');
+    if (rows.length === 0) {
+      lines.push('None.');
+      continue;
+    }
+
+    lines.push(`| ${columns.map(([heading]) => heading).join(' | ')} |`);
+    lines.push(`| ${columns.map(() => '---').join(' | ')} |`);
+    for (const row of rows) {
+      lines.push(`| ${columns.map(([, cell]) => escapeMarkdownCell(cell(row))).join(' | ')} |`);
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Formats a run report as a standalone HTML page
+ * @param {Object} report - Run report
+ * @returns {string} HTML document
+ */
+function formatHtml(report) {
+  const parts = [
+    '<!DOCTYPE html>',
+    '<html><head><meta charset="utf-8"><title>Slite to Outline migration report</title>',
+    '<style>body{font-family:sans-serif;margin:2em}table{border-collapse:collapse}th,td{border:1px solid #ccc;padding:4px 8px;text-align:left;vertical-align:top}</style>',
+    '</head><body>',
+    '<h1>Slite to Outline migration report</h1>',
+    '<ul>',
+    ...getDetails(report).map(([label, value]) => `<li><strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}</li>`),
+    '</ul>'
+  ];
+
+  for (const { title, rows, columns } of getSections(report)) {
+    parts.push(`<h2>${escapeHtml(title)} (${rows.length})</h2>`);
+    if (rows.length === 0) {
+      parts.push('<p>None.</p>');
+      continue;
+    }
+
+    parts.push('<table>', `<tr>${columns.map(([heading]) => `<th>${escapeHtml(heading)}</th>`).join('')}</tr>`);
+    for (const row of rows) {
+      parts.push(`<tr>${columns.map(([, cell]) => `<td>${escapeHtml(cell(row))}</td>`).join('')}</tr>`);
+    }
+    parts.push('</table>');
+  }
+
+  parts.push('</body></html>');
+  return parts.join('\n') + '\n';
+}
+
+/**
+ * Formats a run report, as HTML for a path ending in .html or .htm and as Markdown otherwise
+ * @param {Object} report - Run report
+ * @param {string} filePath - Path the report is written to
+ * @returns {string} Report document
+ */
+export function formatRunReport(report, filePath) {
+  return /\.html?$/i.test(filePath) ? formatHtml(report) : formatMarkdown(report);
+}
@@ -0,0 +1,21 @@
+import * as fs from 'node:fs';
+import { readFile } from 'node:fs/promises';
+
+/**
+ * Opens a file as a Blob that is read from disk when it is consumed, so it
+ * can be sent in a multipart upload without loading it into memory first.
+ * Uses Bun.file under Bun and fs.openAsBlob under Node 19.8 and later; older
+ * Node versions read the file into memory.
+ * @param {string} filePath - Path of the file
+ * @param {string} type - MIME type of the blob
+ * @returns {Promise<Blob>} The file as a Blob
+ */
+export async function openFileBlob(filePath, type) {
+  if (globalThis.Bun) {
+    return globalThis.Bun.file(filePath, { type });
+  }
+  if (typeof fs.openAsBlob === 'function') {
+    return fs.openAsBlob(filePath, { type });
+  }
+  return new Blob([await readFile(filePath)], { type });
+}
@@ -0,0 +1,195 @@
+// Statuses worth retrying; anything else (e.g. a 400 validation error) will never succeed
+const TRANSIENT_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+// Error codes of a failed connection, as set by Node's fetch (on the error's cause) and by Bun's
+const NETWORK_ERROR_CODES = new Set([
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'ENOTFOUND', 'EAI_AGAIN',
+  'ENETUNREACH', 'EHOSTUNREACH', 'ConnectionRefused', 'ConnectionClosed', 'FailedToOpenSocket'
+]);
+
+/**
+ * Error for a non-2xx HTTP response
+ */
+export class HttpError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status code
+   * @param {number|null} retryAfter - Delay requested by the server in ms, if any
+   */
+  constructor(message, status, retryAfter = null) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Parses a Retry-After header, given either in seconds or as an HTTP date
+ * @param {string|null} header - Header value
+ * @returns {number|null} Delay in ms, or null if absent or invalid
+ */
+export function parseRetryAfter(header) {
+  if (!header) return null;
+
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Throws an HttpError if a response is not ok
+ * @param {Response} response - Fetch response
+ * @param {string} label - Prefix for the error message
+ * @returns {Promise<void>}
+ */
+export async function throwForStatus(response, label) {
+  if (response.ok) return;
+
+  const text = await response.text().catch(() => '');
+  throw new HttpError(
+    `${label}: ${response.status} ${response.statusText}${text ? ` - ${text.slice(0, 500)}` : ''}`,
+    response.status,
+    parseRetryAfter(response.headers.get('retry-after'))
+  );
+}
+
+/**
+ * Whether an error comes from the connection itself (connection reset, DNS
+ * failure, timeout) rather than from the response or the code handling it
+ * @param {Error} error - The error
+ * @returns {boolean} True for a network error
+ */
+export function isNetworkError(error) {
+  const code = error?.cause?.code ?? error?.code;
+  if (typeof code === 'string' && (NETWORK_ERROR_CODES.has(code) || code.startsWith('UND_ERR_'))) {
+    return true;
+  }
+  // Node's fetch reports every failed connection as this TypeError
+  return error instanceof TypeError && error.message === 'fetch failed';
+}
+
+/**
+ * Whether a failed request is worth retrying. A 429 is always retried, as the
+ * request was turned away before it ran. Network errors and the other
+ * transient statuses are retried only for idempotent requests, since the
+ * request may have been carried out before it failed. Any other error, such
+ * as a validation error or a response that is not valid JSON, is not retried.
+ * @param {Error} error - The error
+ * @param {Object} [options]
+ * @param {boolean} [options.idempotent] - Whether the request can safely be sent twice
+ * @returns {boolean} True if the request should be retried
+ */
+export function isTransientError(error, { idempotent = true } = {}) {
+  if (error instanceof HttpError) {
+    return error.status === 429 || (idempotent && TRANSIENT_STATUSES.has(error.status));
+  }
+  return idempotent && isNetworkError(error);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Creates a scheduler that runs requests with limited concurrency and retries
+ * transient failures with exponential backoff. A 429 response pauses every
+ * request in the scheduler until the server's Retry-After has passed.
+ * @param {Object} [options]
+ * @param {number} [options.concurrency] - Maximum number of requests in flight
+ * @param {number} [options.maxRetries] - Retries per request before giving up
+ * @param {number} [options.baseDelay] - Base backoff delay in ms
+ * @param {Function} [options.log] - Called with a message before each retry
+ * @returns {{ run: Function }} Scheduler
+ */
+export function createScheduler({ concurrency = 4, maxRetries = 3, baseDelay = 1000, log = () => {} } = {}) {
+  const queue = [];
+  let active = 0;
+  let pausedUntil = 0;
+
+  function next() {
+    while (active < concurrency && queue.length > 0) {
+      const task = queue.shift();
+      active++;
+      task().finally(() => {
+        active--;
+        next();
+      });
+    }
+  }
+
+  function schedule(fn) {
+    return new Promise((resolve, reject) => {
+      queue.push(async () => {
+        const wait = pausedUntil - Date.now();
+        if (wait > 0) await sleep(wait);
+        return fn().then(resolve, reject);
+      });
+      next();
+    });
+  }
+
+  /**
+   * Runs a request through the scheduler, retrying transient failures. A
+   * request that is not idempotent is retried after a network error or a
+   * server error only if it has a recover function, which is called before
+   * each retry to find out whether the failed attempt took effect anyway.
+   * @param {Function} fn - Performs the request and throws on failure
+   * @param {Object} [options]
+   * @param {boolean} [options.idempotent] - Whether the request can safely be sent twice
+   * @param {Function} [options.recover] - Returns the result of a failed attempt that
+   *   took effect, or undefined if it did not and the request should be sent again
+   * @returns {Promise<*>} The result of fn
+   */
+  async function run(fn, { idempotent = true, recover } = {}) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await schedule(fn);
+      } catch (error) {
+        if (!isTransientError(error, { idempotent: idempotent || Boolean(recover) }) || attempt > maxRetries) {
+          throw error;
+        }
+
+        const delay = error.retryAfter ?? Math.pow(2, attempt) * baseDelay;
+        if (error.status === 429) {
+          pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+        }
+
+        log(`Retry ${attempt}/${maxRetries} after ${delay}ms: ${error.message}`);
+        await sleep(delay);
+
+        if (!idempotent && error.status !== 429) {
+          const result = await recover();
+          if (result !== undefined) return result;
+        }
+      }
+    }
+  }
+
+  return { run };
+}
+
+/**
+ * Maps over items with at most `concurrency` calls of fn running at once
+ * @param {Iterable<*>} items - Items to process
+ * @param {number} concurrency - Maximum number of concurrent calls
+ * @param {Function} fn - Async function called with each item and its index
+ * @returns {Promise<Array<*>>} Results in input order
+ */
+export async function mapConcurrent(items, concurrency, fn) {
+  const list = [...items];
+  const results = new Array(list.length);
+  let nextIndex = 0;
+
+  async function worker() {
+    while (nextIndex < list.length) {
+      const index = nextIndex++;
+      results[index] = await fn(list[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, list.length) }, worker));
+  return results;
+}
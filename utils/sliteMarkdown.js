@@ -0,0 +1,230 @@
+import { findCodeBlocks } from './markdownLinks.js';
+
+// Leading emoji Slite puts in callouts, by the Outline notice they become
+const CALLOUT_EMOJI = {
+  info: ['ℹ️', 'ℹ', '📌', '📝', '👉', '🔎'],
+  tip: ['💡', '✨', '⭐', '🎯'],
+  warning: ['⚠️', '⚠', '❗', '❗️', '🚨', '⛔', '⛔️', '❌', '🛑', '🔥'],
+  success: ['✅', '✔️', '🎉', '👍']
+};
+
+// GitHub style `> [!NOTE]` callouts
+const CALLOUT_KEYWORDS = {
+  note: 'info',
+  info: 'info',
+  tip: 'tip',
+  important: 'warning',
+  warning: 'warning',
+  caution: 'warning',
+  success: 'success'
+};
+
+const BLOCKQUOTE_LINE = /^ {0,3}> ?(.*)$/;
+const CALLOUT_KEYWORD = /^\[!(\w+)\]\s*(.*)$/;
+const DETAILS_BLOCK = /<details\b[^>]*>\s*(?:<summary\b[^>]*>([\s\S]*?)<\/summary>)?([\s\S]*?)<\/details>/gi;
+const TASK_ITEM = /^(\s*)(?:[*+-]\s+)?(?:\[([ xX])\]|([☐□])|([☑☒]))\s+(.*)$/;
+const MENTION_LINK = /@?\[@?([^\]\n]+)\]\(([^)\s]+)\)/g;
+const SLITE_USER_ID = /(?:^user:|\/users?\/)([\w-]+)/i;
+const EMBED_TAG = /<(iframe|embed|video)\b[^>]*\bsrc\s*=\s*("[^"]*"|'[^']*')[^>]*>(?:[\s\S]*?<\/\1>)?/gi;
+const EMBED_LINK = /^[ \t]*(?:[*+-][ \t]+)?\[(?:embed|embedded)\b[^\]\n]*\]\((https?:\/\/[^)\s]+)\)[ \t]*$/gim;
+const TABLE_DELIMITER = /^\s*\|?\s*:?-{1,}:?\s*(\|\s*:?-{1,}:?\s*)*\|?\s*$/;
+
+/**
+ * Finds the Outline notice type for the first word of a callout
+ * @param {string} text - Callout text, without the blockquote marker
+ * @returns {{ type: string, text: string }|null} Notice type and the text without its marker
+ */
+function matchCallout(text) {
+  const keyword = text.match(CALLOUT_KEYWORD);
+  if (keyword) {
+    const type = CALLOUT_KEYWORDS[keyword[1].toLowerCase()];
+    return type ? { type, text: keyword[2] } : null;
+  }
+
+  for (const [type, emojis] of Object.entries(CALLOUT_EMOJI)) {
+    const emoji = emojis.find(candidate => text.startsWith(candidate));
+    if (emoji) {
+      return { type, text: text.slice(emoji.length).trim() };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Turns blockquotes that start with a callout emoji or a `[!NOTE]` marker into
+ * Outline `:::info`, `:::tip`, `:::warning` or `:::success` notices. Other
+ * blockquotes are left alone.
+ * @param {string} markdown - Markdown content
+ * @returns {string} Converted content
+ */
+function convertCallouts(markdown) {
+  const lines = markdown.split('\n');
+  const output = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const first = lines[i].match(BLOCKQUOTE_LINE);
+    const callout = first && matchCallout(first[1].trim());
+    if (!callout) {
+      output.push(lines[i]);
+      continue;
+    }
+
+    const body = callout.text ? [callout.text] : [];
+    while (i + 1 < lines.length && BLOCKQUOTE_LINE.test(lines[i + 1])) {
+      body.push(lines[++i].match(BLOCKQUOTE_LINE)[1]);
+    }
+
+    output.push(`:::${callout.type}`, ...body, ':::');
+  }
+
+  return output.join('\n');
+}
+
+/**
+ * Turns `<details>` toggles into a bold title followed by their content, as
+ * Outline drops the HTML and its content with it
+ * @param {string} markdown - Markdown content
+ * @returns {string} Converted content
+ */
+function convertToggles(markdown) {
+  return markdown.replace(DETAILS_BLOCK, (match, summary = '', content) => {
+    const title = summary.replace(/<[^>]+>/g, '').trim();
+    const body = content.trim();
+    return [title && `**${title}**`, body].filter(Boolean).join('\n\n');
+  });
+}
+
+/**
+ * Turns task items into Outline checklist items (`- [ ]` and `- [x]`), whether
+ * Slite wrote them with another bullet, without a bullet, or with ☐ and ☑
+ * characters. Assignees are mentions, which convertMentions takes care of.
+ * @param {string} markdown - Markdown content
+ * @returns {string} Converted content
+ */
+function convertTasks(markdown) {
+  return markdown.split('\n').map(line => {
+    const task = line.match(TASK_ITEM);
+    if (!task) return line;
+
+    const [, indent, box, , done, text] = task;
+    const checked = box ? box.toLowerCase() === 'x' : Boolean(done);
+    return `${indent}- [${checked ? 'x' : ' '}] ${text}`;
+  }).join('\n');
+}
+
+/**
+ * Turns mentions, written as links whose text starts with `@`, into mentions
+ * of the mapped Outline user, or into the plain name if the user is not mapped.
+ * Only links to a Slite user, or whose name is a mapped user, are mentions;
+ * others such as `[@outlinewiki](https://twitter.com/outlinewiki)` stay links.
+ * @param {string} markdown - Markdown content
+ * @param {Function} formatUser - Called with a user reference and the text to use
+ *   when it is not mapped; returns the markdown for the user
+ * @returns {string} Converted content
+ */
+function convertMentions(markdown, formatUser) {
+  return markdown.replace(MENTION_LINK, (match, name, url) => {
+    // Only `[@Name](...)` and `@[Name](...)`, and never Outline's own mentions
+    if (!match.startsWith('@') && !match.startsWith('[@')) return match;
+    if (url.startsWith('mention://')) return match;
+
+    const id = url.match(SLITE_USER_ID)?.[1];
+    if (id) {
+      return formatUser(id, null) ?? formatUser(name.trim(), name.trim());
+    }
+    return formatUser(name.trim(), null) ?? match;
+  });
+}
+
+/**
+ * Turns embeds (iframes and "Embed" links) into a bare URL on its own line,
+ * which Outline unfurls into an embed or a link preview
+ * @param {string} markdown - Markdown content
+ * @returns {string} Converted content
+ */
+function convertEmbeds(markdown) {
+  return markdown
+    .replace(EMBED_TAG, (match, tag, src) => `\n${src.slice(1, -1)}\n`)
+    .replace(EMBED_LINK, (match, url) => url);
+}
+
+/**
+ * Splits a markdown table row into its cells
+ * @param {string} line - Table row
+ * @returns {Array<string>} Cell contents
+ */
+function splitTableRow(line) {
+  const cells = line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '').split(/(?<!\\)\|/);
+  return cells.map(cell => cell.trim());
+}
+
+/**
+ * Gives every row of a markdown table the same number of cells. Slite writes
+ * rows of wide tables with more cells than the header, which Outline drops, and
+ * rows with fewer cells, which shift the columns.
+ * @param {string} markdown - Markdown content
+ * @returns {string} Converted content
+ */
+function convertTables(markdown) {
+  const lines = markdown.split('\n');
+
+  for (let i = 1; i < lines.length; i++) {
+    if (!TABLE_DELIMITER.test(lines[i]) || !lines[i - 1].includes('|')) continue;
+
+    let end = i + 1;
+    while (end < lines.length && lines[end].includes('|') && lines[end].trim()) end++;
+
+    const rows = [lines[i - 1], ...lines.slice(i + 1, end)].map(splitTableRow);
+    const width = Math.max(...rows.map(row => row.length));
+    if (rows.every(row => row.length === width)) {
+      i = end;
+      continue;
+    }
+
+    const delimiter = splitTableRow(lines[i]);
+    while (delimiter.length < width) delimiter.push('---');
+
+    const formatRow = cells => `| ${[...cells, ...Array(width - cells.length).fill('')].join(' | ')} |`;
+    lines.splice(i - 1, end - i + 1, formatRow(rows[0]), formatRow(delimiter), ...rows.slice(1).map(formatRow));
+    i = end;
+  }
+
+  return lines.join('\n');
+}
+
+// Applied in order to the content outside code blocks
+const RULES = [
+  { name: 'toggles', convert: markdown => convertToggles(markdown) },
+  { name: 'callouts', convert: markdown => convertCallouts(markdown) },
+  { name: 'tasks', convert: markdown => convertTasks(markdown) },
+  { name: 'mentions', convert: (markdown, options) => convertMentions(markdown, options.formatUser) },
+  { name: 'embeds', convert: markdown => convertEmbeds(markdown) },
+  { name: 'tables', convert: markdown => convertTables(markdown) }
+];
+
+/**
+ * Converts Slite specific markdown into the Outline equivalents: callouts
+ * become notices, toggles become a bold title with their content, task items
+ * become checklist items, mentions become mapped users or plain names, embeds
+ * become bare URLs and wide tables get a consistent number of columns. Fenced
+ * and indented code blocks are left untouched.
+ * @param {string} markdown - Markdown content
+ * @param {Object} [options]
+ * @param {Function} [options.formatUser] - Called with a user reference and the text to use
+ *   when it is not mapped; returns the markdown for the user
+ * @returns {string} Converted content
+ */
+export function convertSliteMarkdown(markdown, { formatUser = (reference, fallback) => fallback } = {}) {
+  const options = { formatUser };
+  const convert = text => RULES.reduce((result, rule) => rule.convert(result, options), text);
+
+  let result = '';
+  let offset = 0;
+  for (const [start, end] of findCodeBlocks(markdown)) {
+    result += convert(markdown.slice(offset, start)) + markdown.slice(start, end);
+    offset = end;
+  }
+
+  return result + convert(markdown.slice(offset));
+}
@@ -0,0 +1,23 @@
+// https://<team>.slite.com/app/docs/<id>[/<slug>] and the older
+// https://<team>.slite.com/app/channels/<channelId>/notes/<id> form
+const SLITE_DOC_URL = /^https?:\/\/(?:[\w-]+\.)*slite\.com\/app\/(?:docs|channels\/[\w-]+\/notes)\/([\w-]+)/i;
+
+/**
+ * Extracts the Slite document ID from a Slite app URL
+ * @param {string} url - URL without anchor
+ * @returns {string|null} The document ID, or null if this is not a Slite document URL
+ */
+export function parseSliteDocId(url) {
+  return url.match(SLITE_DOC_URL)?.[1] || null;
+}
+
+/**
+ * Gets the Slite document ID for a parsed metadata header, from its ID field
+ * or, failing that, from its URL field
+ * @param {Object|null} metadata - Metadata from parseMetadataHeader
+ * @returns {string|null} The document ID
+ */
+export function getSliteDocId(metadata) {
+  if (!metadata) return null;
+  return metadata.id || (metadata.url && parseSliteDocId(metadata.url)) || null;
+}
@@ -1,8 +1,70 @@
+import { appendFileSync } from 'node:fs';
+
+// Log levels by severity; messages below the configured level are not printed
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LEVEL_PREFIXES = { warn: 'Warning: ', error: 'Error: ' };
+
+export const LOG_LEVELS = Object.keys(LEVELS);
+
+let minimumLevel = 'info';
+let logFilePath = null;
+// Live progress shown on the last terminal line, below the log
+let statusLine = '';
+const showStatus = Boolean(process.stderr.isTTY);
+
+/**
+ * Configures logging for the run
+ * @param {Object} options
+ * @param {string} [options.level] - Lowest level printed: debug, info, warn or error
+ * @param {string|null} [options.filePath] - File every message is appended to as a JSON line, at any level
+ */
+export function configureLog({ level = 'info', filePath = null } = {}) {
+  if (!LEVELS[level]) {
+    throw new Error(`Unknown log level: ${level} (expected ${LOG_LEVELS.join(', ')})`);
+  }
+  minimumLevel = level;
+  logFilePath = filePath;
+}
+
+/**
+ * Whether messages of a level are printed
+ * @param {string} level - Log level
+ * @returns {boolean} True if the level is at or above the configured one
+ */
+function isLogLevelEnabled(level) {
+  return LEVELS[level] >= LEVELS[minimumLevel];
+}
+
+/**
+ * Shows a line of live progress below the log, on terminals only. Log
+ * messages are printed above it.
+ * @param {string} text - Progress text, or an empty string to remove it
+ */
+export function setStatusLine(text) {
+  if (!showStatus) return;
+  process.stderr.write(`\r\x1b[K${text}`);
+  statusLine = text;
+}
+
 /**
  * Logs a message with timestamp
  * @param {string} message - Message to log
+ * @param {string} [level] - Log level: debug, info, warn or error
+ * @param {Object} [data] - Fields added to the JSON line in the log file
  */
-export function timeStampLog(message) {
+export function timeStampLog(message, level = 'info', data = {}) {
   const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] ${message}`);
-} 
\ No newline at end of file
+  if (logFilePath) {
+    appendFileSync(logFilePath, JSON.stringify({ time: timestamp, level, message, ...data }) + '\n');
+  }
+  if (!isLogLevelEnabled(level)) return;
+
+  if (statusLine) process.stderr.write('\r\x1b[K');
+  const line = `[${timestamp}] ${LEVEL_PREFIXES[level] || ''}${message}`;
+  if (LEVELS[level] >= LEVELS.warn) {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+  if (statusLine) process.stderr.write(statusLine);
+}
@@ -0,0 +1,192 @@
+import { readFile, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+
+/**
+ * Picks the first non-empty string property from a record
+ * @param {Object} record - Source record
+ * @param {Array<string>} keys - Candidate property names
+ * @returns {string|null} The value, or null
+ */
+function pick(record, keys) {
+  for (const key of keys) {
+    if (typeof record[key] === 'string' && record[key].trim()) {
+      return record[key].trim();
+    }
+  }
+  return null;
+}
+
+/**
+ * Normalises a Slite user record from the backup
+ * @param {Object} record - Raw user record
+ * @returns {Object|null} User with id, email and name, or null if unusable
+ */
+function normalizeSliteUser(record) {
+  if (!record || typeof record !== 'object') return null;
+
+  const email = pick(record, ['email', 'emailAddress', 'mail']);
+  const id = pick(record, ['id', 'userId', '_id']) || email;
+  const fullName = [pick(record, ['firstName']), pick(record, ['lastName'])].filter(Boolean).join(' ');
+  const name = pick(record, ['displayName', 'name', 'fullName', 'username']) || fullName || email;
+
+  return id ? { id, email: email?.toLowerCase() || null, name } : null;
+}
+
+/**
+ * Extracts user records from a parsed JSON file, which may hold one user,
+ * a list of users, or an object with a users/members list
+ * @param {*} json - Parsed JSON
+ * @returns {Array<Object>} Raw user records
+ */
+function extractUserRecords(json) {
+  if (Array.isArray(json)) return json;
+  if (json && typeof json === 'object') {
+    const list = json.users || json.members;
+    if (Array.isArray(list)) return list;
+    if (json.user && typeof json.user === 'object') return [json.user];
+    return [json];
+  }
+  return [];
+}
+
+/**
+ * Reads the Slite users from the backup's users folder and organization.json.
+ * Missing files are ignored, so a backup without users yields an empty list.
+ * @param {Object} source - Backup source from openBackupSource
+ * @param {string} usersPath - Path of the users folder
+ * @param {string} organizationPath - Path of organization.json
+ * @returns {Promise<Array<Object>>} Slite users with id, email and name
+ */
+export async function readSliteUsers(source, usersPath, organizationPath) {
+  const records = [];
+
+  const entries = await source.readdir(usersPath).catch(() => []);
+  for (const entry of entries) {
+    if (entry.isFile() && entry.name.endsWith('.json')) {
+      const json = JSON.parse(await source.readFile(join(usersPath, entry.name), 'utf-8'));
+      records.push(...extractUserRecords(json));
+    }
+  }
+
+  const organization = await source.readFile(organizationPath, 'utf-8').then(JSON.parse, () => null);
+  if (organization && (organization.users || organization.members)) {
+    records.push(...extractUserRecords(organization));
+  }
+
+  // Deduplicate by Slite ID, keeping the first record seen
+  const users = new Map();
+  for (const user of records.map(normalizeSliteUser)) {
+    if (user && !users.has(user.id)) {
+      users.set(user.id, user);
+    }
+  }
+
+  return [...users.values()];
+}
+
+/**
+ * Loads an existing user mapping file
+ * @param {string} filePath - Path of the mapping file
+ * @returns {Promise<Object>} Mapping data, empty if the file does not exist
+ */
+export async function loadUserMapping(filePath) {
+  try {
+    return JSON.parse(await readFile(filePath, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { users: {} };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Writes the user mapping file
+ * @param {string} filePath - Path of the mapping file
+ * @param {Object} mapping - Mapping data
+ * @returns {Promise<void>}
+ */
+export async function saveUserMapping(filePath, mapping) {
+  await writeFile(filePath, JSON.stringify(mapping, null, 2));
+}
+
+/**
+ * Matches Slite users to Outline users by email, falling back to an exact
+ * name match. A name shared by several Outline users is ambiguous and leaves
+ * the Slite user unmatched. Entries of the existing mapping matched by email
+ * or by hand are kept as they are, so manual edits survive a rerun; name
+ * matches are made again.
+ * @param {Array<Object>} sliteUsers - Users from readSliteUsers
+ * @param {Array<Object>} outlineUsers - Users from Outline's users.list
+ * @param {Object} existing - Previously saved mapping
+ * @returns {Object} Mapping keyed by Slite user ID
+ */
+export function buildUserMapping(sliteUsers, outlineUsers, existing) {
+  const byEmail = new Map();
+  const byName = new Map(); // lower-cased name -> Outline users with that name
+  for (const user of outlineUsers) {
+    if (user.email) byEmail.set(user.email.toLowerCase(), user);
+    if (user.name) {
+      const key = user.name.toLowerCase();
+      byName.set(key, [...(byName.get(key) || []), user]);
+    }
+  }
+
+  const users = {};
+  for (const sliteUser of sliteUsers) {
+    const previous = existing.users?.[sliteUser.id];
+    if (previous?.outlineUserId && previous.matchedBy !== 'name') {
+      users[sliteUser.id] = { ...previous, matchedBy: previous.matchedBy || 'manual' };
+      continue;
+    }
+
+    let match = sliteUser.email && byEmail.get(sliteUser.email);
+    let matchedBy = match ? 'email' : null;
+    let ambiguous = false;
+    if (!match && sliteUser.name) {
+      const candidates = byName.get(sliteUser.name.toLowerCase()) || [];
+      ambiguous = candidates.length > 1;
+      match = candidates.length === 1 ? candidates[0] : null;
+      matchedBy = match ? 'name' : null;
+    }
+
+    users[sliteUser.id] = {
+      sliteName: sliteUser.name,
+      sliteEmail: sliteUser.email,
+      outlineUserId: match?.id || null,
+      outlineName: match?.name || null,
+      matchedBy,
+      ...(ambiguous && { ambiguous: true })
+    };
+  }
+
+  return { users };
+}
+
+/**
+ * Finds the mapping entry for a user reference from a document header, which
+ * may be a Slite user ID, an email address or a display name
+ * @param {Object} mapping - User mapping
+ * @param {string} reference - User reference
+ * @returns {Object|null} Mapping entry with an Outline user, or null
+ */
+export function findMappedUser(mapping, reference) {
+  if (!reference) return null;
+
+  const needle = reference.trim().toLowerCase();
+  const entry = mapping.users[reference] || Object.values(mapping.users).find(user =>
+    user.sliteEmail?.toLowerCase() === needle || user.sliteName?.toLowerCase() === needle
+  );
+
+  return entry?.outlineUserId ? entry : null;
+}
+
+/**
+ * Whether a mapping entry is certain enough to grant the user access, i.e. it
+ * was matched by email or set by hand. A name match may be the wrong person.
+ * @param {Object} entry - Mapping entry from findMappedUser
+ * @returns {boolean} True if the match can be trusted
+ */
+export function isConfirmedMatch(entry) {
+  return entry.matchedBy === 'email' || entry.matchedBy === 'manual';
+}
@@ -0,0 +1,113 @@
+import { extractLinks, splitAnchor, isExternalUrl } from './markdownLinks.js';
+
+const TABLE_DELIMITER = /^\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?$/;
+const MARKDOWN_ESCAPE = /\\([\\`*_{}[\]()#+\-.!|~<>])/g;
+const SNIPPET_LENGTH = 80;
+
+/**
+ * Normalises markdown so a document can be compared with what Outline
+ * returns for it, ignoring the formatting Outline changes when it stores
+ * markdown: whitespace, blank lines, escapes, bullet and emphasis markers and
+ * table delimiter rows
+ * @param {string} markdown - Markdown content
+ * @returns {Array<string>} Normalised non-empty lines
+ */
+export function normalizeMarkdown(markdown) {
+  return markdown
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map(line => line
+      .replace(/\u00a0/g, ' ')
+      .replace(MARKDOWN_ESCAPE, '$1')
+      .trim()
+      .replace(/\s+/g, ' ')
+      .replace(/^[*+] /, '- ')
+      .replace(/__/g, '**')
+      .replace(/\s*\|\s*/g, '|'))
+    .map(line => TABLE_DELIMITER.test(line) && line.includes('|') ? '|---|' : line)
+    .filter(Boolean);
+}
+
+/**
+ * Shortens a line for the report
+ * @param {string|undefined} line - Line to show
+ * @returns {string} Quoted snippet, or "(end of document)"
+ */
+function snippet(line) {
+  if (line === undefined) return '(end of document)';
+  return JSON.stringify(line.length > SNIPPET_LENGTH ? `${line.slice(0, SNIPPET_LENGTH)}…` : line);
+}
+
+/**
+ * Compares a document's expected content with the content found in Outline,
+ * after normalising both
+ * @param {string} expected - Content the migration wrote
+ * @param {string} actual - Content returned by Outline
+ * @returns {string|null} Where the two first differ, or null if they match
+ */
+export function compareMarkdown(expected, actual) {
+  const expectedLines = normalizeMarkdown(expected);
+  const actualLines = normalizeMarkdown(actual);
+  const length = Math.max(expectedLines.length, actualLines.length);
+
+  for (let i = 0; i < length; i++) {
+    if (expectedLines[i] !== actualLines[i]) {
+      return `line ${i + 1} of ${expectedLines.length}: expected ${snippet(expectedLines[i])}, found ${snippet(actualLines[i])}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Finds links that still point at files of the Slite backup, i.e. `.md`
+ * pages or files in `media_` folders, rather than at Outline
+ * @param {string} markdown - Document content from Outline
+ * @returns {Array<string>} Link URLs
+ */
+export function findLocalLinks(markdown) {
+  return extractLinks(markdown)
+    .map(link => link.url)
+    .filter(url => {
+      const { path } = splitAnchor(url);
+      if (!path || isExternalUrl(path) || path.startsWith('/')) return false;
+      return path.endsWith('.md') || /(^|\/)media_/.test(path);
+    });
+}
+
+/**
+ * Formats a verification report as a human readable summary
+ * @param {Object} report - Report built by the verify command
+ * @returns {string} Summary text
+ */
+export function formatVerifyReport(report) {
+  const lines = [];
+  const failedDocuments = report.documents.filter(document => document.problems.length > 0);
+  const failedAttachments = report.attachments.filter(attachment => !attachment.ok);
+
+  lines.push('', `Collections (${report.collections.length}):`);
+  for (const collection of report.collections) {
+    const counts = `${collection.sourceDocuments} in the backup`
+      + (collection.skippedDocuments > 0 ? ` (${collection.skippedDocuments} more skipped by plugins)` : '')
+      + `, ${collection.recordedDocuments} migrated, ${collection.foundDocuments} found in Outline`
+      + (collection.outlineDocuments === null ? '' : `, ${collection.outlineDocuments} of ${collection.listedDocuments} published documents listed in the collection`);
+    lines.push(`${collection.ok ? '-' : '!'} ${collection.channel} -> ${collection.name ?? 'not migrated'}: ${counts}`);
+  }
+
+  lines.push('', `Documents: ${report.documents.length} checked, ${failedDocuments.length} with problems`);
+  for (const document of failedDocuments) {
+    lines.push(`! ${document.sourcePath} (${document.id}):`);
+    lines.push(...document.problems.map(problem => `    ${problem.type}: ${problem.detail}`));
+  }
+
+  lines.push('', `Attachments: ${report.attachments.length} checked, ${failedAttachments.length} not resolving`);
+  for (const attachment of failedAttachments) {
+    lines.push(`! ${attachment.url} (${attachment.attachmentPaths.join(', ')}): ${attachment.error}`);
+  }
+
+  lines.push('', report.problemCount === 0
+    ? 'Verification passed: everything in the manifest was found in Outline as migrated'
+    : `Verification found ${report.problemCount} problems`);
+
+  return lines.join('\n');
+}
@@ -0,0 +1,341 @@
+import { open } from 'node:fs/promises';
+import { createReadStream } from 'node:fs';
+import { Readable } from 'node:stream';
+import { deflateRawSync, createInflateRaw } from 'node:zlib';
+
+const LOCAL_FILE_HEADER = 0x04034b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP64_END_OF_CENTRAL_DIRECTORY = 0x06064b50;
+const ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR = 0x07064b50;
+const ZIP64_EXTRA_FIELD = 0x0001;
+// The end of central directory record is 22 bytes plus a comment of up to 64 KB
+const MAX_END_OF_CENTRAL_DIRECTORY_SIZE = 22 + 0xffff;
+const ENCRYPTED_FLAG = 0x0001;
+// Entry names are UTF-8 encoded
+const UTF8_FLAG = 0x0800;
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+// Offsets and sizes are 32 bit without the ZIP64 extension
+const MAX_ZIP_SIZE = 0xffffffff;
+const MAX_ZIP_ENTRIES = 0xffff;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * Computes the CRC-32 checksum of a buffer, as stored in ZIP headers
+ * @param {Buffer} data - Data to checksum
+ * @returns {number} Unsigned CRC-32
+ */
+export function crc32(data) {
+  let crc = 0xffffffff;
+  for (const byte of data) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Converts a date to the MS-DOS time and date fields used in ZIP headers
+ * @param {Date} date - Date to convert
+ * @returns {{ time: number, date: number }} DOS time and date
+ */
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Creates a ZIP archive on disk that entries are written to one by one, so
+ * only a single entry is held in memory at a time. Entries are deflated
+ * unless that does not make them smaller, as with most images.
+ * @param {string} filePath - Path of the archive to write
+ * @returns {Promise<{ add: Function, close: Function }>} Archive writer
+ */
+export async function createZipWriter(filePath) {
+  const handle = await open(filePath, 'w');
+  const entries = [];
+  const names = new Set();
+  const modified = toDosDateTime(new Date());
+  let offset = 0;
+
+  async function write(buffer) {
+    if (offset + buffer.length > MAX_ZIP_SIZE) {
+      throw new Error(`Archive ${filePath} would exceed 4 GB, which is not supported`);
+    }
+    await handle.write(buffer);
+    offset += buffer.length;
+  }
+
+  /**
+   * Adds a file to the archive
+   * @param {string} name - Path inside the archive, with `/` separators
+   * @param {Buffer|string} content - File content
+   * @returns {Promise<void>}
+   */
+  async function add(name, content) {
+    if (names.has(name)) {
+      throw new Error(`Duplicate archive entry: ${name}`);
+    }
+    if (names.size === MAX_ZIP_ENTRIES) {
+      throw new Error(`Archive ${filePath} would exceed ${MAX_ZIP_ENTRIES} entries, which is not supported`);
+    }
+    names.add(name);
+
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(content);
+    const deflated = deflateRawSync(data);
+    const compress = deflated.length < data.length;
+    const stored = compress ? deflated : data;
+    const nameBuffer = Buffer.from(name);
+    const entry = {
+      nameBuffer,
+      method: compress ? METHOD_DEFLATE : METHOD_STORE,
+      crc: crc32(data),
+      compressedSize: stored.length,
+      size: data.length,
+      offset
+    };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(LOCAL_FILE_HEADER, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(UTF8_FLAG, 6);
+    header.writeUInt16LE(entry.method, 8);
+    header.writeUInt16LE(modified.time, 10);
+    header.writeUInt16LE(modified.date, 12);
+    header.writeUInt32LE(entry.crc, 14);
+    header.writeUInt32LE(entry.compressedSize, 18);
+    header.writeUInt32LE(entry.size, 22);
+    header.writeUInt16LE(nameBuffer.length, 26);
+    header.writeUInt16LE(0, 28);
+
+    await write(Buffer.concat([header, nameBuffer]));
+    await write(stored);
+    entries.push(entry);
+  }
+
+  /**
+   * Writes the central directory and closes the archive
+   * @returns {Promise<void>}
+   */
+  async function close() {
+    try {
+      const centralStart = offset;
+      for (const entry of entries) {
+        const header = Buffer.alloc(46);
+        header.writeUInt32LE(CENTRAL_DIRECTORY_HEADER, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt16LE(20, 6);
+        header.writeUInt16LE(UTF8_FLAG, 8);
+        header.writeUInt16LE(entry.method, 10);
+        header.writeUInt16LE(modified.time, 12);
+        header.writeUInt16LE(modified.date, 14);
+        header.writeUInt32LE(entry.crc, 16);
+        header.writeUInt32LE(entry.compressedSize, 20);
+        header.writeUInt32LE(entry.size, 24);
+        header.writeUInt16LE(entry.nameBuffer.length, 28);
+        header.writeUInt32LE(entry.offset, 42);
+        await write(Buffer.concat([header, entry.nameBuffer]));
+      }
+
+      const end = Buffer.alloc(22);
+      end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+      end.writeUInt16LE(entries.length, 8);
+      end.writeUInt16LE(entries.length, 10);
+      end.writeUInt32LE(offset - centralStart, 12);
+      end.writeUInt32LE(centralStart, 16);
+      await write(end);
+    } finally {
+      await handle.close();
+    }
+  }
+
+  return { add, close };
+}
+
+/**
+ * Decodes an entry name. Names are UTF-8 when the UTF-8 flag is set, and most
+ * archivers write UTF-8 without setting it; anything else is read as Latin-1.
+ * @param {Buffer} buffer - Raw name
+ * @param {number} flags - General purpose flags of the entry
+ * @returns {string} Entry name
+ */
+function decodeEntryName(buffer, flags) {
+  if (flags & UTF8_FLAG) return buffer.toString('utf-8');
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch {
+    return buffer.toString('latin1');
+  }
+}
+
+/**
+ * Reads part of a file into a new buffer
+ * @param {FileHandle} handle - Open file
+ * @param {number} position - Offset to read from
+ * @param {number} length - Number of bytes to read
+ * @returns {Promise<Buffer>} The bytes read
+ */
+async function readAt(handle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+/**
+ * Finds the central directory of an archive from its end records, including
+ * the ZIP64 ones written for archives over 4 GB or 65535 entries
+ * @param {FileHandle} handle - Open archive
+ * @param {number} fileSize - Size of the archive
+ * @returns {Promise<{ offset: number, size: number, count: number }>} Central directory location
+ */
+async function findCentralDirectory(handle, fileSize) {
+  const tailStart = Math.max(0, fileSize - MAX_END_OF_CENTRAL_DIRECTORY_SIZE);
+  const tail = await readAt(handle, tailStart, fileSize - tailStart);
+
+  let end = -1;
+  for (let i = tail.length - 22; i >= 0; i--) {
+    if (tail.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) {
+    throw new Error('not a ZIP archive, or a truncated one');
+  }
+
+  const directory = {
+    count: tail.readUInt16LE(end + 10),
+    size: tail.readUInt32LE(end + 12),
+    offset: tail.readUInt32LE(end + 16)
+  };
+
+  const locator = end - 20;
+  if (locator >= 0 && tail.readUInt32LE(locator) === ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR) {
+    const record = await readAt(handle, Number(tail.readBigUInt64LE(locator + 8)), 56);
+    if (record.readUInt32LE(0) === ZIP64_END_OF_CENTRAL_DIRECTORY) {
+      directory.count = Number(record.readBigUInt64LE(32));
+      directory.size = Number(record.readBigUInt64LE(40));
+      directory.offset = Number(record.readBigUInt64LE(48));
+    }
+  }
+
+  return directory;
+}
+
+/**
+ * Reads the sizes and offset of an entry from its ZIP64 extra field, for the
+ * values its central directory header leaves at their 32 bit maximum
+ * @param {Object} entry - Entry with size, compressedSize and offset
+ * @param {Buffer} extra - Extra fields of the central directory header
+ */
+function applyZip64Extra(entry, extra) {
+  for (let i = 0; i + 4 <= extra.length;) {
+    const id = extra.readUInt16LE(i);
+    const length = extra.readUInt16LE(i + 2);
+    if (id === ZIP64_EXTRA_FIELD) {
+      let field = i + 4;
+      for (const key of ['size', 'compressedSize', 'offset']) {
+        if (entry[key] === MAX_ZIP_SIZE && field + 8 <= i + 4 + length) {
+          entry[key] = Number(extra.readBigUInt64LE(field));
+          field += 8;
+        }
+      }
+      return;
+    }
+    i += 4 + length;
+  }
+}
+
+/**
+ * Opens a ZIP archive for reading. The central directory is read up front;
+ * entry content is streamed from disk, and inflated, when it is read.
+ * Stored and deflated entries are supported, as are ZIP64 archives.
+ * @param {string} filePath - Path of the archive
+ * @returns {Promise<{ entries: Array<Object>, createReadStream: Function, close: Function }>} Archive reader,
+ *   whose entries have a name, size and directory flag
+ */
+export async function openZipReader(filePath) {
+  const handle = await open(filePath, 'r');
+
+  try {
+    const { size: fileSize } = await handle.stat();
+    const directory = await findCentralDirectory(handle, fileSize);
+    const data = await readAt(handle, directory.offset, directory.size);
+    const entries = [];
+
+    for (let i = 0; entries.length < directory.count; ) {
+      if (i + 46 > data.length || data.readUInt32LE(i) !== CENTRAL_DIRECTORY_HEADER) {
+        throw new Error('corrupt central directory');
+      }
+
+      const flags = data.readUInt16LE(i + 8);
+      const nameLength = data.readUInt16LE(i + 28);
+      const extraLength = data.readUInt16LE(i + 30);
+      const commentLength = data.readUInt16LE(i + 32);
+      const name = decodeEntryName(data.subarray(i + 46, i + 46 + nameLength), flags);
+      const entry = {
+        name,
+        directory: name.endsWith('/'),
+        encrypted: Boolean(flags & ENCRYPTED_FLAG),
+        method: data.readUInt16LE(i + 10),
+        compressedSize: data.readUInt32LE(i + 20),
+        size: data.readUInt32LE(i + 24),
+        offset: data.readUInt32LE(i + 42)
+      };
+      applyZip64Extra(entry, data.subarray(i + 46 + nameLength, i + 46 + nameLength + extraLength));
+
+      entries.push(entry);
+      i += 46 + nameLength + extraLength + commentLength;
+    }
+
+    /**
+     * Streams the content of an entry
+     * @param {Object} entry - Entry from entries
+     * @returns {Readable} Uncompressed content
+     */
+    function createEntryStream(entry) {
+      async function* read() {
+        if (entry.encrypted) {
+          throw new Error(`${entry.name} in ${filePath} is encrypted, which is not supported`);
+        }
+        if (entry.method !== METHOD_STORE && entry.method !== METHOD_DEFLATE) {
+          throw new Error(`${entry.name} in ${filePath} uses compression method ${entry.method}, which is not supported`);
+        }
+
+        // The local header repeats the name, and its extra field may differ in length
+        const header = await readAt(handle, entry.offset, 30);
+        if (header.length < 30 || header.readUInt32LE(0) !== LOCAL_FILE_HEADER) {
+          throw new Error(`corrupt local header for ${entry.name} in ${filePath}`);
+        }
+        if (entry.compressedSize === 0) return;
+
+        const start = entry.offset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+        const raw = createReadStream(filePath, { start, end: start + entry.compressedSize - 1 });
+        if (entry.method === METHOD_STORE) {
+          yield* raw;
+          return;
+        }
+
+        const inflate = createInflateRaw();
+        raw.on('error', error => inflate.destroy(error));
+        yield* raw.pipe(inflate);
+      }
+
+      return Readable.from(read(), { objectMode: false });
+    }
+
+    return { entries, createReadStream: createEntryStream, close: () => handle.close() };
+  } catch (error) {
+    await handle.close();
+    throw new Error(`Could not read ${filePath}: ${error.message}`);
+  }
+}